@@ -1,16 +1,19 @@
-import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { 
   Book, Bookmark, ChevronLeft, ChevronRight, Sun, Moon, Type, List, StickyNote, 
   Clock, FileUp, Trash2, X, Home, BookOpen, Navigation, Hash, Search, Volume2, 
   Play, Pause, Maximize2, BarChart3, Settings2, Edit2, Plus, Download, 
   Tag as TagIcon, Timer, Layout, MousePointer2, Settings, Sliders, Square, AlignLeft,
-  Filter, Zap, RotateCcw
+  Filter, Zap, RotateCcw, HardDrive, ShieldCheck, Upload, Rows3, RectangleVertical, MoveHorizontal,
+  Keyboard, Command, SkipBack, SkipForward, FolderPlus, Folder, Check, ChevronDown, ArrowLeft, ArrowRight, WrapText, LayoutGrid, AlertCircle
 } from 'lucide-react';
+import { Zip, ZipDeflate, ZipPassThrough, Unzip, UnzipInflate, unzipSync, strToU8, strFromU8 } from 'fflate';
+import WORKER_URL from 'pdfjs-dist/build/pdf.worker.min.js?url';
+import paperTexture from './assets/paper-texture.svg';
 
 // --- Configuration & Constants ---
-const PDFJS_VERSION = '3.11.174';
-const PDFJS_URL = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${PDFJS_VERSION}/pdf.min.js`;
-const WORKER_URL = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${PDFJS_VERSION}/pdf.worker.min.js`;
+// pdf.js and its worker ship inside the build so the reader works offline.
+const loadPdfJs = () => import('pdfjs-dist');
 
 const THEMES = {
   light: { bg: 'bg-white', text: 'text-gray-900', secondary: 'bg-gray-50', accent: 'blue-600', shadow: 'shadow-blue-900/5' },
@@ -18,6 +21,12 @@ const THEMES = {
   sepia: { bg: 'bg-[#f4ecd8]', text: 'text-[#5b4636]', secondary: 'bg-[#e9dec2]', accent: 'amber-800', shadow: 'shadow-amber-900/10' }
 };
 
+// Zoom bounds, and the scale at which one PDF point is shown as 1/72 inch.
+const MIN_SCALE = 0.4;
+const MAX_SCALE = 4;
+const ACTUAL_SIZE_SCALE = 96 / 72;
+const clampScale = (s) => Math.round(Math.min(MAX_SCALE, Math.max(MIN_SCALE, s)) * 100) / 100;
+
 const HIGHLIGHT_COLORS = [
   { name: 'Yellow', value: '#fef08a', border: 'border-yellow-400' },
   { name: 'Green', value: '#bbf7d0', border: 'border-green-400' },
@@ -25,22 +34,121 @@ const HIGHLIGHT_COLORS = [
   { name: 'Pink', value: '#fbcfe8', border: 'border-pink-400' }
 ];
 
+// --- Shelf ---
+// Older books have no `added` field, but their id still carries the import
+// timestamp after the last underscore.
+const bookAddedAt = (b) => b.added || parseInt(b.id.split('_').pop(), 10) || 0;
+const bookProgress = (b) => (b.numPages ? b.lastPage / b.numPages : 0);
+const stripBookExt = (name) => name.replace(/\.(pdf|epub|cbz)$/i, '');
+const bookTitle = (b) => b.title || b.info?.title || stripBookExt(b.name);
+const bookAuthor = (b) => b.author ?? b.info?.author ?? '';
+
+const SHELF_SORTS = {
+  lastOpened: { label: 'Last Opened', compare: (a, b) => b.lastOpened - a.lastOpened },
+  title: { label: 'Title', compare: (a, b) => bookTitle(a).localeCompare(bookTitle(b), undefined, { numeric: true, sensitivity: 'base' }) },
+  added: { label: 'Date Added', compare: (a, b) => bookAddedAt(b) - bookAddedAt(a) },
+  progress: { label: 'Progress', compare: (a, b) => bookProgress(b) - bookProgress(a) },
+  time: { label: 'Time Spent', compare: (a, b) => (b.totalTime || 0) - (a.totalTime || 0) }
+};
+
+// PDF dates look like D:YYYYMMDDHHmmSS+HH'mm'; anything short of a year is
+// treated as missing.
+const parsePdfDate = (str) => {
+  const m = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Z+-])?(\d{2})?'?(\d{2})?/.exec(str || '');
+  if (!m) return null;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', sec = '00', tz, tzh = '00', tzm = '00'] = m;
+  const utc = Date.UTC(+y, +mo - 1, +d, +h, +mi, +sec);
+  const offset = tz === '+' || tz === '-' ? (tz === '+' ? 1 : -1) * (+tzh * 60 + +tzm) * 60000 : 0;
+  return utc - offset;
+};
+
+// Document info dict, with blank strings dropped so the filename fallback
+// still applies.
+const readDocInfo = async (doc) => {
+  const { info = {} } = await doc.getMetadata().catch(() => ({}));
+  const clean = (v) => (typeof v === 'string' && v.trim() ? v.trim() : undefined);
+  return {
+    title: clean(info.Title), author: clean(info.Author), subject: clean(info.Subject),
+    keywords: clean(info.Keywords), created: parsePdfDate(info.CreationDate) || undefined
+  };
+};
+
+const DEFAULT_SHELF_VIEW = { sort: 'lastOpened', tag: null, collection: null };
+
+// --- Preferences ---
+// Global preferences live in app_state; a book that opts in keeps its own
+// copy of the layout keys in its metadata.
+const DEFAULT_PREFS = {
+  theme: 'light', scale: 1.4, zoomMode: 'custom', layout: 'single', margins: 60, lineSpacing: 1.5,
+  fontFamily: 'serif', reflowFontSize: 19, blueLightFilter: 0,
+  speechRate: 0.9, speechPitch: 0.9, voice: null, sidebarTab: 'nav'
+};
+const BOOK_PREF_KEYS = ['theme', 'scale', 'zoomMode', 'layout', 'margins', 'lineSpacing', 'fontFamily', 'reflowFontSize', 'blueLightFilter'];
+const pickPrefs = (prefs, keys) => Object.fromEntries(keys.map(k => [k, prefs[k]]));
+
 // --- Storage Architecture ---
 const DB_NAME = 'AldikoReaderDB_v5';
 const METADATA_STORE = 'book_metadata';
 const FILE_STORE = 'book_files';
+const TEXT_STORE = 'book_text';
+const BOOKMARK_STORE = 'bookmarks';
+const NOTE_STORE = 'notes';
+const STATE_STORE = 'app_state';
+const READING_LOG_STORE = 'reading_log';
+const THUMB_STORE = 'thumbnails';
+const BOOK_STORES = [METADATA_STORE, FILE_STORE, TEXT_STORE];
+const ANNOTATION_STORES = [BOOKMARK_STORE, NOTE_STORE];
 
+// Migration N upgrades the database from version N to N + 1 inside the
+// versionchange transaction. Shipped steps are never edited; append a new one.
+const MIGRATIONS = [
+  (db) => {
+    db.createObjectStore(METADATA_STORE, { keyPath: 'id' });
+    db.createObjectStore(FILE_STORE, { keyPath: 'id' });
+  },
+  (db) => {
+    db.createObjectStore(TEXT_STORE, { keyPath: 'id' });
+  },
+  (db, tx) => {
+    ANNOTATION_STORES.forEach(name => db.createObjectStore(name, { keyPath: 'id' }).createIndex('file', 'file'));
+    db.createObjectStore(STATE_STORE, { keyPath: 'key' });
+    // Annotations used to live as two global arrays in localStorage.
+    const legacy = { [BOOKMARK_STORE]: 'aldiko_bookmarks', [NOTE_STORE]: 'aldiko_notes' };
+    Object.entries(legacy).forEach(([store, key]) => {
+      try { JSON.parse(localStorage.getItem(key) || '[]').forEach(r => r.file && tx.objectStore(store).put(r)); } catch (e) {}
+    });
+    const streak = parseInt(localStorage.getItem('aldiko_streak'));
+    if (streak) tx.objectStore(STATE_STORE).put({ key: 'streak', value: streak });
+    tx.addEventListener('complete', () => ['aldiko_bookmarks', 'aldiko_notes', 'aldiko_streak'].forEach(k => localStorage.removeItem(k)));
+  },
+  (db) => {
+    const log = db.createObjectStore(READING_LOG_STORE, { keyPath: 'id' });
+    log.createIndex('file', 'file');
+    log.createIndex('date', 'date');
+  },
+  (db) => {
+    db.createObjectStore(THUMB_STORE, { keyPath: 'id' }).createIndex('file', 'file');
+  }
+];
+const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
 const initDB = () => {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, 1);
-    request.onupgradeneeded = (e) => {
-      const db = e.target.result;
-      if (!db.objectStoreNames.contains(METADATA_STORE)) db.createObjectStore(METADATA_STORE, { keyPath: 'id' });
-      if (!db.objectStoreNames.contains(FILE_STORE)) db.createObjectStore(FILE_STORE, { keyPath: 'id' });
-    };
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (e) => {
+        for (let v = e.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](request.result, request.transaction);
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => { db.close(); dbPromise = null; };
+        resolve(db);
+      };
+      request.onerror = () => { dbPromise = null; reject(request.error); };
+    });
+  }
+  return dbPromise;
 };
 
 const saveBookToDB = async (metadata, fileData) => {
@@ -54,10 +162,33 @@ const saveBookToDB = async (metadata, fileData) => {
   });
 };
 
-const updateMeta = async (metadata) => {
+// Reads and writes inside one readwrite transaction, so overlapping calls are
+// serialised by IndexedDB and each merges onto the latest stored record.
+const updateMeta = async (id, changes) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(METADATA_STORE, 'readwrite');
+    const store = tx.objectStore(METADATA_STORE);
+    const req = store.get(id);
+    req.onsuccess = () => {
+      if (!req.result) return;
+      const patch = typeof changes === 'function' ? changes(req.result) : changes;
+      store.put({ ...req.result, ...patch, id });
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Remembered passwords are read straight from the store when a book is
+// unlocked; the library list held in React state never carries them.
+const getBookPassword = async (id) => {
   const db = await initDB();
-  const tx = db.transaction(METADATA_STORE, 'readwrite');
-  tx.objectStore(METADATA_STORE).put(metadata);
+  return new Promise((resolve) => {
+    const req = db.transaction(METADATA_STORE, 'readonly').objectStore(METADATA_STORE).get(id);
+    req.onsuccess = () => resolve(req.result?.password);
+    req.onerror = () => resolve(undefined);
+  });
 };
 
 const getFile = async (id) => {
@@ -68,281 +199,3061 @@ const getFile = async (id) => {
   });
 };
 
-const App = () => {
-  // --- Core Reader State ---
-  const [libReady, setLibReady] = useState(false);
-  const [pdfFile, setPdfFile] = useState(null); 
-  const [pdfDoc, setPdfDoc] = useState(null);   
-  const [numPages, setNumPages] = useState(0);
-  const [currentPage, setCurrentPage] = useState(1);
-  const [scale, setScale] = useState(1.4);
-  const [theme, setTheme] = useState('light');
-  const [sidebarOpen, setSidebarOpen] = useState(false);
-  const [sidebarTab, setSidebarTab] = useState('nav'); 
-  const [library, setLibrary] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
-  const [bookmarks, setBookmarks] = useState([]);
-  const [notes, setNotes] = useState([]);
-  const [chapters, setChapters] = useState([]);
+const deleteByFile = (tx, store, id) => {
+  const req = tx.objectStore(store).index('file').openKeyCursor(IDBKeyRange.only(id));
+  req.onsuccess = () => { const cursor = req.result; if (cursor) { tx.objectStore(store).delete(cursor.primaryKey); cursor.continue(); } };
+};
 
-  // --- Premium UI & Customization ---
-  const [focusMode, setFocusMode] = useState(false);
-  const [isTwoPage, setIsTwoPage] = useState(false);
-  const [blueLightFilter, setBlueLightFilter] = useState(0);
-  const [margins, setMargins] = useState(60); 
-  const [lineSpacing, setLineSpacing] = useState(1.5);
-  const [fontFamily, setFontFamily] = useState('serif');
-  const [showSettings, setShowSettings] = useState(false);
-  const [lastActivity, setLastActivity] = useState(Date.now());
-  const [jumpPageInput, setJumpPageInput] = useState('');
-  const [libSearch, setLibSearch] = useState('');
+const deleteBooksFromDB = async (ids) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([...BOOK_STORES, ...ANNOTATION_STORES, THUMB_STORE], 'readwrite');
+    ids.forEach(id => {
+      BOOK_STORES.forEach(store => tx.objectStore(store).delete(id));
+      [...ANNOTATION_STORES, THUMB_STORE].forEach(store => deleteByFile(tx, store, id));
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
 
-  // --- Intelligence & Stats ---
-  const [sessionSeconds, setSessionSeconds] = useState(0);
-  const [totalTimeInBook, setTotalTimeInBook] = useState(0);
-  const [readingStreak, setReadingStreak] = useState(1);
+// --- Page Thumbnails ---
+// Low-resolution page renders, cached per book and page. They are only a
+// cache: dropped with the book, or when its file is replaced.
+const THUMB_WIDTH = 160;
 
-  // --- TTS State ---
-  const [isSpeaking, setIsSpeaking] = useState(false);
-  const [speechRate, setSpeechRate] = useState(0.9); 
-  const [selectedVoice, setSelectedVoice] = useState(null);
-  const synth = window.speechSynthesis;
+const getThumbnail = async (file, page) => {
+  const db = await initDB();
+  return new Promise((resolve) => {
+    const req = db.transaction(THUMB_STORE, 'readonly').objectStore(THUMB_STORE).get(`${file}|${page}`);
+    req.onsuccess = () => resolve(req.result?.image || null);
+    req.onerror = () => resolve(null);
+  });
+};
 
-  // --- Search State ---
-  const [searchQuery, setSearchQuery] = useState('');
-  const [searchResults, setSearchResults] = useState([]);
-  const [isSearching, setIsSearching] = useState(false);
+const clearThumbnails = async (file) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(THUMB_STORE, 'readwrite');
+    deleteByFile(tx, THUMB_STORE, file);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
 
-  // --- Drag-to-Flip Physics ---
-  const [dragOffset, setDragOffset] = useState(0);
-  const [isDragging, setIsDragging] = useState(false);
-  const [dragStartX, setDragStartX] = useState(0);
-  const [dragDirection, setDragDirection] = useState(null);
+const renderThumbnail = async (doc, num) => {
+  const page = await doc.getPage(num);
+  const viewport = page.getViewport({ scale: THUMB_WIDTH / page.getViewport({ scale: 1 }).width });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(viewport.width); canvas.height = Math.round(viewport.height);
+  await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+  return canvas.toDataURL('image/jpeg', 0.7);
+};
 
-  // Refs
-  const canvasRef = useRef(null);
-  const canvasTwoRef = useRef(null);
-  const fileInputRef = useRef(null);
-  const pdfjsLibRef = useRef(null);
-  const mainRef = useRef(null);
+// --- Annotations & App State ---
+const getBookRecords = async (store, file) => {
+  const db = await initDB();
+  return new Promise((resolve) => {
+    const req = db.transaction(store, 'readonly').objectStore(store).index('file').getAll(file);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve([]);
+  });
+};
+
+const putRecord = async (store, record) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, 'readwrite');
+    tx.objectStore(store).put(record);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const deleteRecord = async (store, id) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, 'readwrite');
+    tx.objectStore(store).delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const getState = async (key, fallback) => {
+  const db = await initDB();
+  return new Promise((resolve) => {
+    const req = db.transaction(STATE_STORE, 'readonly').objectStore(STATE_STORE).get(key);
+    req.onsuccess = () => resolve(req.result ? req.result.value : fallback);
+    req.onerror = () => resolve(fallback);
+  });
+};
+
+const setState = (key, value) => putRecord(STATE_STORE, { key, value });
+
+// --- Reading Log ---
+// One record per local calendar day and book, holding active reading seconds
+// and pages advanced that day.
+const dayKey = (d = new Date()) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+const addReadingLog = async (file, seconds, pages) => {
+  const db = await initDB();
+  const date = dayKey();
+  const id = `${date}|${file}`;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(READING_LOG_STORE, 'readwrite');
+    const store = tx.objectStore(READING_LOG_STORE);
+    const req = store.get(id);
+    req.onsuccess = () => {
+      const current = req.result || { id, date, file, seconds: 0, pages: 0 };
+      store.put({ ...current, seconds: current.seconds + seconds, pages: current.pages + pages });
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const getAllRecords = async (store) => {
+  const db = await initDB();
+  return new Promise((resolve) => {
+    const req = db.transaction(store, 'readonly').objectStore(store).getAll();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve([]);
+  });
+};
+
+// Writes records unless keepExisting(current, incoming) says the stored one
+// should win.
+const mergeRecords = async (store, records, keepExisting = () => false) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, 'readwrite');
+    const os = tx.objectStore(store);
+    records.forEach(r => {
+      const req = os.get(r[os.keyPath]);
+      req.onsuccess = () => { if (!req.result || !keepExisting(req.result, r)) os.put(r); };
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Gives a book's bookmarks and notes fresh ids under another book, used when
+// a re-imported file is kept as a new version.
+// Copies are keyed by the new book and the original id, which no
+// Date.now() id can collide with.
+const copyAnnotations = async (fromId, toId) => {
+  for (const store of ANNOTATION_STORES) {
+    const records = await getBookRecords(store, fromId);
+    await mergeRecords(store, records.map(r => ({ ...r, id: `${toId}:${r.id}`, file: toId })));
+  }
+};
+
+const clearStores = async (stores) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, 'readwrite');
+    stores.forEach(store => tx.objectStore(store).clear());
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// --- Backup Archive ---
+// A backup is a zip holding manifest.json (every record store) followed by
+// one stored, uncompressed entry per book file. The manifest is always the
+// first entry so a restore can route files as they stream in.
+const BACKUP_FORMAT = 'aldiko-backup';
+const BACKUP_STORES = [METADATA_STORE, BOOKMARK_STORE, NOTE_STORE, STATE_STORE, READING_LOG_STORE];
+
+// Zip output is folded into a Blob after every book, so only one book's bytes
+// are on the JS heap at a time; the browser can keep the Blob parts on disk.
+const exportLibraryArchive = async (onProgress) => {
+  let chunks = [];
+  let archive = new Blob([]);
+  // A throw inside fflate's callback would escape this function, so the
+  // error is kept and raised from here on the next flush.
+  let failure = null;
+  const flush = () => {
+    if (failure) throw failure;
+    archive = new Blob([archive, ...chunks]); chunks = [];
+  };
+  const zip = new Zip((err, chunk) => { if (err) failure = err; else chunks.push(chunk); });
+  const records = {};
+  for (const store of BACKUP_STORES) records[store] = await getAllRecords(store);
+  // Remembered passwords stay on this device.
+  const books = records[METADATA_STORE] = records[METADATA_STORE].map(({ password, ...b }) => b);
+  const files = Object.fromEntries(books.map((b, i) => [`files/${String(i + 1).padStart(5, '0')}.${b.format || 'pdf'}`, b.id]));
+  const manifest = new ZipDeflate('manifest.json', { level: 6 });
+  zip.add(manifest);
+  manifest.push(strToU8(JSON.stringify({ format: BACKUP_FORMAT, version: 1, created: Date.now(), files, records })), true);
+  let done = 0;
+  for (const [path, id] of Object.entries(files)) {
+    const data = await getFile(id);
+    if (data) {
+      const entry = new ZipPassThrough(path);
+      zip.add(entry);
+      entry.push(new Uint8Array(data), true);
+    }
+    flush();
+    onProgress?.(++done, books.length);
+  }
+  zip.end();
+  flush();
+  return new Blob([archive], { type: 'application/zip' });
+};
+
+const importLibraryArchive = async (file, mode, onProgress) => {
+  let manifest = null;
+  let restored = 0;
+  let queue = Promise.resolve();
+  const existing = new Set(mode === 'merge' ? (await getAllRecords(METADATA_STORE)).map(b => b.id) : []);
+
+  const handleEntry = async (name, data) => {
+    if (name === 'manifest.json') {
+      manifest = JSON.parse(strFromU8(data));
+      if (manifest.format !== BACKUP_FORMAT) throw new Error('This file is not an Aldiko library backup.');
+      if (mode === 'replace') await clearStores([...new Set([...BOOK_STORES, ...BACKUP_STORES, THUMB_STORE])]);
+      const r = manifest.records;
+      await mergeRecords(METADATA_STORE, r[METADATA_STORE] || [], (cur, inc) => (cur.lastOpened || 0) >= (inc.lastOpened || 0));
+      for (const store of BACKUP_STORES.filter(st => st !== METADATA_STORE)) await mergeRecords(store, r[store] || [], () => true);
+      return;
+    }
+    if (!manifest) throw new Error('Backup manifest is missing or out of order.');
+    const id = manifest.files[name];
+    if (id && !existing.has(id)) {
+      const db = await initDB();
+      await new Promise((resolve, reject) => {
+        // Any thumbnails under this id were rendered from some other file.
+        const tx = db.transaction([FILE_STORE, THUMB_STORE], 'readwrite');
+        tx.objectStore(FILE_STORE).put({ id, data: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) });
+        deleteByFile(tx, THUMB_STORE, id);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+    onProgress?.(++restored, Object.keys(manifest.files).length);
+  };
+
+  const unzip = new Unzip((entry) => {
+    const parts = [];
+    entry.ondata = (err, chunk, final) => {
+      if (err) { queue = queue.then(() => { throw err; }); return; }
+      parts.push(chunk);
+      if (!final) return;
+      const data = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+      parts.reduce((at, p) => { data.set(p, at); return at + p.length; }, 0);
+      queue = queue.then(() => handleEntry(entry.name, data));
+    };
+    entry.start();
+  });
+  unzip.register(UnzipInflate);
+  const reader = file.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    unzip.push(done ? new Uint8Array(0) : value, done);
+    if (done) break;
+  }
+  await queue;
+  if (!manifest) throw new Error('This file is not an Aldiko library backup.');
+};
+
+const saveTextIndex = async (id, pages) => {
+  const db = await initDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TEXT_STORE, 'readwrite');
+    tx.objectStore(TEXT_STORE).put({ id, pages });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const getTextIndexIds = async () => {
+  const db = await initDB();
+  return new Promise((resolve) => {
+    const req = db.transaction(TEXT_STORE, 'readonly').objectStore(TEXT_STORE).getAllKeys();
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => resolve([]);
+  });
+};
+
+// Walks the index with a cursor so only one book's text is in memory at a
+// time; reports the first hit per page.
+const searchTextIndex = async (query, limit = 60) => {
+  const db = await initDB();
+  const needle = query.toLowerCase();
+  return new Promise((resolve) => {
+    const hits = [];
+    const req = db.transaction(TEXT_STORE, 'readonly').objectStore(TEXT_STORE).openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || hits.length >= limit) { resolve(hits); return; }
+      cursor.value.pages.forEach((text, i) => {
+        const at = text.toLowerCase().indexOf(needle);
+        if (at !== -1 && hits.length < limit) hits.push({ id: `${cursor.value.id}:${i + 1}`, bookId: cursor.value.id, page: i + 1, ...makeSnippet(text, at, needle.length) });
+      });
+      cursor.continue();
+    };
+    req.onerror = () => resolve(hits);
+  });
+};
+
+// --- Text Geometry ---
+// pdf.js text items carry their own transform; combining it with the page
+// viewport gives the glyph run's box in viewport (CSS) space.
+const multiplyTransform = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+const buildPageText = (textContent) => {
+  let text = '';
+  const spans = [];
+  textContent.items.forEach((item, index) => {
+    if (typeof item.str !== 'string') return;
+    spans.push({ index, start: text.length, end: text.length + item.str.length });
+    text += item.str;
+    if (item.hasEOL) text += ' ';
+  });
+  return { text, spans, items: textContent.items };
+};
+
+const makeSnippet = (text, at, length, context = 40) => ({
+  before: text.slice(Math.max(0, at - context), at),
+  match: text.slice(at, at + length),
+  after: text.slice(at + length, at + length + context)
+});
+
+const extractBookText = async (doc) => {
+  const pages = [];
+  for (let num = 1; num <= doc.numPages; num++) {
+    try {
+      const page = await doc.getPage(num);
+      pages.push(buildPageText(await page.getTextContent()).text);
+    } catch (e) { pages.push(''); }
+  }
+  return pages;
+};
+
+const rangeToRects = ({ spans, items }, viewport, start, end) => {
+  const rects = [];
+  for (const span of spans) {
+    if (span.end <= start || span.start >= end || span.end === span.start) continue;
+    const item = items[span.index];
+    const tx = multiplyTransform(viewport.transform, item.transform);
+    const height = Math.hypot(tx[2], tx[3]);
+    const charWidth = (item.width * viewport.scale) / item.str.length;
+    const from = Math.max(start, span.start) - span.start;
+    const to = Math.min(end, span.end) - span.start;
+    rects.push({ x: tx[4] + from * charWidth, y: tx[5] - height, w: (to - from) * charWidth, h: height });
+  }
+  return rects;
+};
+
+// --- Reflow ---
+// Text items become lines in viewport space (scale 1, top-left origin). A
+// wide horizontal gap on the same baseline starts a new line so the two
+// halves of a two-column page never merge.
+const reflowLines = (textContent, viewport) => {
+  const lines = [];
+  textContent.items.forEach(item => {
+    if (typeof item.str !== 'string' || !item.str) return;
+    const tx = multiplyTransform(viewport.transform, item.transform);
+    const size = Math.hypot(tx[2], tx[3]) || 1;
+    const x = tx[4], y = tx[5], w = item.width * viewport.scale;
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - y) < size * 0.5 && x >= line.right - size && x - line.right < size * 2.5) {
+      if (x - line.right > size * 0.15 && !/\s$/.test(line.text) && !/^\s/.test(item.str)) line.text += ' ';
+      line.text += item.str;
+      line.right = Math.max(line.right, x + w);
+      line.size = Math.max(line.size, item.str.trim() ? size : 0);
+    } else if (item.str.trim()) {
+      lines.push({ x, y, right: x + w, size, text: item.str });
+    }
+  });
+  return lines.map(l => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() })).filter(l => l.text);
+};
+
+const REFLOW_MARGIN_BAND = 0.07;
+const REFLOW_GAP = 64;
+const inReflowMargin = (line, height) => line.y < height * REFLOW_MARGIN_BAND || line.y > height * (1 - REFLOW_MARGIN_BAND);
+const reflowLineKey = (line) => line.text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+
+// Running headers and footers: margin lines (with digits folded) that recur
+// on a good share of the sampled pages.
+const repeatedMarginKeys = (pages) => {
+  const counts = new Map();
+  pages.forEach(({ lines, height }) => new Set(lines.filter(l => inReflowMargin(l, height)).map(reflowLineKey)).forEach(k => counts.set(k, (counts.get(k) || 0) + 1)));
+  const min = Math.max(3, Math.ceil(pages.length * 0.4));
+  return new Set([...counts].filter(([, n]) => n >= min).map(([k]) => k));
+};
+
+// Two columns are assumed only when both halves hold a real share of the
+// lines; full-width lines (titles, figures) split the page into bands that
+// are each read left column first.
+const orderReflowLines = (lines, width) => {
+  const mid = width / 2, slack = width * 0.03;
+  const side = (l) => (l.right <= mid + slack ? 'L' : l.x >= mid - slack ? 'R' : 'W');
+  const byY = [...lines].sort((a, b) => a.y - b.y || a.x - b.x);
+  const left = byY.filter(l => side(l) === 'L').length, right = byY.filter(l => side(l) === 'R').length;
+  if (left < lines.length * 0.2 || right < lines.length * 0.2) return byY;
+  const ordered = [];
+  let band = [];
+  const flush = () => { ordered.push(...band.filter(l => side(l) === 'L'), ...band.filter(l => side(l) === 'R')); band = []; };
+  byY.forEach(l => { if (side(l) === 'W') { flush(); ordered.push(l); } else band.push(l); });
+  flush();
+  return ordered;
+};
+
+const median = (values) => { const v = [...values].sort((a, b) => a - b); return v.length ? v[Math.floor(v.length / 2)] : 0; };
+
+// Paragraph breaks come from vertical gaps, size changes, indents, jumps
+// between columns and short sentence-final lines; headings from type that
+// is clearly larger than the body size.
+const buildReflowBlocks = (lines, { width, height }, stripKeys) => {
+  const kept = lines.filter(l => !(inReflowMargin(l, height) && (stripKeys.has(reflowLineKey(l)) || /^[\W_]*([\divxlc]+|page \d+( of \d+)?)[\W_]*$/i.test(l.text))));
+  const ordered = orderReflowLines(kept, width);
+  const body = median(ordered.flatMap(l => Array(Math.min(l.text.length, 200)).fill(Math.round(l.size * 2) / 2)));
+  const gaps = ordered.slice(1).map((l, i) => l.y - ordered[i].y).filter(g => g > 0 && g < body * 3);
+  const leading = median(gaps) || body * 1.2;
+  const blocks = [];
+  let cur = null, prev = null;
+  ordered.forEach(l => {
+    const heading = l.size >= body * 1.6 ? 'h2' : l.size >= body * 1.2 ? 'h3' : null;
+    const gap = prev ? l.y - prev.y : 0;
+    const breaks = !cur || cur.type !== (heading || 'p') || (heading ? gap > l.size * 2 || gap < 0 :
+      gap > leading * 1.45 || gap < -leading || l.x - prev.x > body * 0.8 || Math.abs(l.x - prev.x) > width * 0.3 ||
+      (/[.?!:"”]$/.test(prev.text) && prev.right < cur.right - body * 3));
+    if (breaks) { cur = { type: heading || 'p', text: l.text, right: l.right }; blocks.push(cur); }
+    else {
+      cur.text = /[a-z]-$/.test(cur.text) && /^[a-z]/.test(l.text) ? cur.text.slice(0, -1) + l.text : `${cur.text} ${l.text}`;
+      cur.right = Math.max(cur.right, l.right);
+    }
+    prev = l;
+  });
+  return blocks.filter(b => b.type === 'p' || b.text.length < 200).map(({ type, text }) => ({ type, text }));
+};
+
+// Reflowed text is re-joined and de-hyphenated, so blocks are lined up with
+// the page text on everything but whitespace and hyphens. Each alignment
+// pairs the offsets of those kept characters in the page and in the block,
+// which lets highlights move between the two in both directions.
+const REFLOW_IGNORED = /[\s\-\u00ad]/;
+const matchKey = (text) => {
+  let key = '';
+  const at = [];
+  for (let i = 0; i < text.length; i++) if (!REFLOW_IGNORED.test(text[i])) { key += text[i]; at.push(i); }
+  return { key, at };
+};
+
+const alignReflowBlocks = (pageText, blocks) => {
+  const page = matchKey(pageText);
+  let cursor = 0;
+  return blocks.map(b => {
+    if (b.type === 'img') return null;
+    const block = matchKey(b.text);
+    if (!block.key) return null;
+    // Blocks mostly follow page order; reordered columns fall back to a full search.
+    let at = page.key.indexOf(block.key, cursor);
+    if (at === -1) at = page.key.indexOf(block.key);
+    if (at === -1) return null;
+    cursor = at + block.key.length;
+    return { pageAt: page.at.slice(at, cursor), blockAt: block.at };
+  });
+};
+
+// Splits a block's text into runs, coloured where a highlight covers it.
+const highlightRuns = (text, align, highlights) => {
+  if (!align || !highlights.length) return [{ text, color: null }];
+  const colors = new Array(text.length).fill(null);
+  highlights.forEach(({ start, end, color }) => {
+    align.pageAt.forEach((p, k) => {
+      if (p < start || p >= end) return;
+      // Runs through to the next kept character so the gap between two
+      // highlighted words is coloured too.
+      const next = align.pageAt[k + 1] !== undefined && align.pageAt[k + 1] < end ? align.blockAt[k + 1] : align.blockAt[k] + 1;
+      colors.fill(color, align.blockAt[k], next);
+    });
+  });
+  const runs = [];
+  for (let i = 0; i < text.length; i++) {
+    const last = runs[runs.length - 1];
+    if (last && last.color === colors[i]) last.text += text[i];
+    else runs.push({ text: text[i], color: colors[i] });
+  }
+  return runs;
+};
+
+// Maps a DOM position inside a reflowed block to its block index and the
+// character offset within that block's text.
+const reflowPosition = (container, offset) => {
+  const el = (container.nodeType === 1 ? container : container.parentElement)?.closest('[data-block]');
+  if (!el) return null;
+  const before = document.createRange();
+  before.selectNodeContents(el);
+  before.setEnd(container, offset);
+  return { block: parseInt(el.dataset.block), offset: before.toString().length };
+};
+
+// --- Keyboard & Command Palette ---
+const DEFAULT_SHORTCUTS = {
+  nextPage: ['ArrowRight', 'PageDown', 'Space'],
+  prevPage: ['ArrowLeft', 'PageUp', 'Shift+Space'],
+  firstPage: ['Home'],
+  lastPage: ['End'],
+  toggleBookmark: ['B'],
+  toggleSidebar: ['S'],
+  search: ['/'],
+  zoomIn: ['+', '='],
+  zoomOut: ['-'],
+  cycleTheme: ['T'],
+  toggleTTS: ['R'],
+  toggleTwoPage: ['2'],
+  toggleReflow: ['W'],
+  pageGrid: ['G'],
+  historyBack: ['Alt+ArrowLeft'],
+  historyForward: ['Alt+ArrowRight'],
+  palette: ['Ctrl+K'],
+  help: ['?']
+};
+
+// Normalises a keydown into "Ctrl+Alt+Key". Printable keys already encode
+// Shift in the character, so Shift is only named for keys like Space.
+const comboFromEvent = (e) => {
+  if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+  let key = e.key === ' ' ? 'Space' : e.key === 'Esc' ? 'Escape' : e.key;
+  if (key.length === 1) key = key.toUpperCase();
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey && key.length > 1) parts.push('Shift');
+  return [...parts, key].join('+');
+};
+
+// Subsequence match: every query character must appear in order. Runs of
+// consecutive characters and word starts score higher; shorter labels win ties.
+const fuzzyScore = (query, text) => {
+  const q = query.toLowerCase().replace(/\s+/g, ''), t = text.toLowerCase();
+  let score = 0, from = 0, run = 0;
+  for (const ch of q) {
+    const at = t.indexOf(ch, from);
+    if (at === -1) return -1;
+    run = at === from ? run + 1 : 0;
+    score += 1 + run * 2 + (at === 0 || /\W/.test(t[at - 1]) ? 3 : 0);
+    from = at + 1;
+  }
+  return score - t.length * 0.01;
+};
+
+// --- Links & Destinations ---
+// Explicit destinations start with a page ref, or a bare page index for
+// remote-style dests; named ones are looked up first.
+const resolveDestPage = async (doc, dest) => {
+  const d = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+  if (!Array.isArray(d)) return null;
+  if (Number.isInteger(d[0])) return d[0] + 1;
+  return d[0] ? (await doc.getPageIndex(d[0])) + 1 : null;
+};
+
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const safeLinkUrl = (url) => {
+  try { return SAFE_LINK_PROTOCOLS.includes(new URL(url).protocol) ? url : null; }
+  catch (e) { return null; }
+};
+
+// Link annotations as rects at scale 1, resolved to a page, a named action
+// or a vetted external URL. Anything else is dropped.
+const extractPageLinks = async (doc, num) => {
+  const page = await doc.getPage(num);
+  const viewport = page.getViewport({ scale: 1 });
+  const annots = await page.getAnnotations({ intent: 'display' });
+  const links = [];
+  for (const a of annots) {
+    if (a.subtype !== 'Link' || !a.rect) continue;
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(a.rect);
+    const rect = { x: Math.min(x1, x2), y: Math.min(y1, y2), w: Math.abs(x2 - x1), h: Math.abs(y2 - y1) };
+    const url = a.url && safeLinkUrl(a.url);
+    if (url) { links.push({ ...rect, url }); continue; }
+    let target = null;
+    try { if (a.dest) target = await resolveDestPage(doc, a.dest); } catch (e) {}
+    if (target) links.push({ ...rect, page: target });
+    else if (['NextPage', 'PrevPage', 'FirstPage', 'LastPage'].includes(a.action)) links.push({ ...rect, action: a.action });
+  }
+  return links;
+};
+
+// --- Outline ---
+// The outline is kept flat in document order with a depth per entry; a
+// node's children are the entries after it with a greater depth. Ids are
+// index paths so renames survive re-extraction.
+const EMPTY_USER_CHAPTERS = { added: [], renamed: {} };
+
+// User markers go in front of the first outline entry that starts after
+// them, at that entry's depth, so they never capture existing children.
+const mergeChapters = (outline, user = EMPTY_USER_CHAPTERS) => {
+  const merged = outline.map(c => ({ ...c, title: user.renamed?.[c.id] ?? c.title }));
+  [...(user.added || [])].sort((a, b) => a.page - b.page).forEach(m => {
+    const at = merged.findIndex(c => c.page > m.page);
+    const entry = { ...m, user: true, depth: at < 0 ? 0 : merged[at].depth };
+    if (at < 0) merged.push(entry); else merged.splice(at, 0, entry);
+  });
+  return merged.map((c, i) => ({ ...c, hasChildren: (merged[i + 1]?.depth ?? -1) > c.depth }));
+};
+
+// Entries without a resolvable destination stay in the tree and borrow the
+// page of their first child that has one; only empty leaves are dropped.
+const readOutline = async (doc) => {
+  const items = await doc.getOutline();
+  if (!items) return [];
+  const walk = async (nodes, depth, path) => {
+    let res = [];
+    for (const [idx, i] of nodes.entries()) {
+      let p = null;
+      try { if (i.dest) p = await resolveDestPage(doc, i.dest); } catch (e) {}
+      const id = `${path}${idx}`;
+      const children = i.items?.length ? await walk(i.items, depth + 1, `${id}.`) : [];
+      if (p === null) p = children.find(c => c.page !== null)?.page ?? null;
+      if (p !== null) res = [...res, { id, title: i.title, page: p, depth }, ...children];
+    }
+    return res;
+  };
+  return walk(items, 0, '');
+};
+
+const chapterAt = (chapters, page) => [...chapters].reverse().find(c => page >= c.page) || null;
+
+// --- Notebook Export ---
+// Every format is rendered from the same flattened list: one entry per book
+// with its highlights, notes and bookmarks in page order.
+const noteType = (n) => n.type || (n.ranges ? 'highlight' : 'note');
+const NOTE_TYPE_LABELS = { highlight: 'Highlight', note: 'Note', bookmark: 'Bookmark' };
+
+const buildNotebook = (books, notes, bookmarks, chaptersByBook) => books.map(b => {
+  const chapterName = (page) => chapterAt(chaptersByBook[b.id] || [], page)?.title || '';
+  const items = [
+    ...notes.filter(n => n.file === b.id).map(n => ({ type: noteType(n), page: n.page, color: n.colorName || '', text: n.content || '', created: n.created || n.id })),
+    ...bookmarks.filter(m => m.file === b.id).map(m => ({ type: 'bookmark', page: m.page, color: '', text: '', created: m.created || m.id }))
+  ].map(i => ({ ...i, chapter: chapterName(i.page) })).sort((x, y) => x.page - y.page || x.created - y.created);
+  return { title: bookTitle(b), author: bookAuthor(b), items };
+}).filter(b => b.items.length);
+
+const escapeHtml = (str) => String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+// Text that a spreadsheet would read as a formula gets a leading quote.
+const csvCell = (v) => {
+  const str = typeof v === 'string' && /^[=+\-@\t\r]/.test(v) ? `'${v}` : String(v);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+const stamp = (ts) => new Date(ts).toLocaleString();
+
+const KINDLE_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const KINDLE_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const KINDLE_SEPARATOR = '==========';
+
+// Matches the device's own "Monday, March 4, 2024 10:15:00 AM" regardless of
+// the browser locale.
+const kindleDate = (ts) => {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${KINDLE_DAYS[d.getDay()]}, ${KINDLE_MONTHS[d.getMonth()]} ${d.getDate()}, ${d.getFullYear()} ${d.getHours() % 12 || 12}:${pad(d.getMinutes())}:${pad(d.getSeconds())} ${d.getHours() < 12 ? 'AM' : 'PM'}`;
+};
+
+const NOTEBOOK_FORMATS = {
+  md: {
+    label: 'Markdown', ext: 'md', mime: 'text/markdown',
+    render: (books) => books.map(b => {
+      let chapter = null;
+      const body = b.items.map(i => {
+        const heading = i.chapter && i.chapter !== chapter ? `## ${i.chapter}\n\n` : '';
+        chapter = i.chapter || chapter;
+        const quote = i.text ? `> ${i.text.replace(/\n/g, '\n> ')}\n` : '';
+        return `${heading}### Page ${i.page} · ${NOTE_TYPE_LABELS[i.type]}${i.color ? ` (${i.color})` : ''}\n${quote}*${stamp(i.created)}*\n`;
+      }).join('\n');
+      return `# ${b.title}\n${b.author ? `*${b.author}*\n` : ''}\n${body}`;
+    }).join('\n---\n\n')
+  },
+  html: {
+    label: 'HTML', ext: 'html', mime: 'text/html',
+    render: (books) => `<!doctype html>\n<html><head><meta charset="utf-8"><title>Notebook</title><style>body{font:16px/1.6 Georgia,serif;max-width:42rem;margin:3rem auto;padding:0 1rem;color:#222}h1{margin-bottom:0}.by{color:#777;margin-top:0}h2{margin-top:2rem;font-size:1.1rem;color:#2563eb}.item{margin:1.25rem 0}.meta{font:12px sans-serif;color:#888;text-transform:uppercase;letter-spacing:.08em}blockquote{margin:.4rem 0;padding-left:1rem;border-left:4px solid #fde047}</style></head><body>\n${books.map(b => {
+      let chapter = null;
+      return `<h1>${escapeHtml(b.title)}</h1>${b.author ? `<p class="by">${escapeHtml(b.author)}</p>` : ''}\n${b.items.map(i => {
+        const heading = i.chapter && i.chapter !== chapter ? `<h2>${escapeHtml(i.chapter)}</h2>\n` : '';
+        chapter = i.chapter || chapter;
+        return `${heading}<div class="item"><div class="meta">Page ${i.page} · ${NOTE_TYPE_LABELS[i.type]}${i.color ? ` · ${escapeHtml(i.color)}` : ''} · ${escapeHtml(stamp(i.created))}</div>${i.text ? `<blockquote>${escapeHtml(i.text).replace(/\n/g, '<br>')}</blockquote>` : ''}</div>`;
+      }).join('\n')}`;
+    }).join('\n<hr>\n')}\n</body></html>\n`
+  },
+  csv: {
+    label: 'CSV', ext: 'csv', mime: 'text/csv',
+    render: (books) => [
+      ['Book', 'Author', 'Type', 'Page', 'Chapter', 'Color', 'Text', 'Created'],
+      ...books.flatMap(b => b.items.map(i => [b.title, b.author, NOTE_TYPE_LABELS[i.type], i.page, i.chapter, i.color, i.text, new Date(i.created).toISOString()]))
+    ].map(row => row.map(csvCell).join(',')).join('\r\n')
+  },
+  json: {
+    label: 'JSON', ext: 'json', mime: 'application/json',
+    render: (books) => JSON.stringify({
+      exported: new Date().toISOString(),
+      books: books.map(b => ({ ...b, items: b.items.map(i => ({ ...i, created: new Date(i.created).toISOString() })) }))
+    }, null, 2)
+  },
+  kindle: {
+    label: 'Kindle Clippings', ext: 'txt', mime: 'text/plain', filename: 'My Clippings.txt',
+    render: (books) => books.flatMap(b => b.items.map(i => [
+      `${b.title}${b.author ? ` (${b.author})` : ''}`,
+      `- Your ${NOTE_TYPE_LABELS[i.type]} on page ${i.page} | Added on ${kindleDate(i.created)}`,
+      '',
+      i.text,
+      KINDLE_SEPARATOR
+    ].join('\r\n'))).join('\r\n') + '\r\n'
+  }
+};
+
+// --- Annotated PDF Export ---
+// Writes a copy of the stored file with highlights as Highlight annotations
+// (with their own appearance stream, so viewers that don't synthesise one
+// still show them), page notes as Text annotations with popups, and
+// bookmarks and user chapters appended to the document outline.
+const loadPdfLib = () => import('pdf-lib');
+
+const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+const buildAnnotatedPdf = async (bytes, doc, { notes, bookmarks, chapters, renamed = {}, pageLabel = String, author }) => {
+  const { PDFDocument, PDFName, PDFHexString, PDFString, PDFDict, PDFNumber } = await loadPdfLib();
+  const out = await PDFDocument.load(bytes, { updateMetadata: false });
+  const ctx = out.context;
+  const pages = out.getPages();
+  const text = (str) => PDFHexString.fromText(str || '');
+  const noteCounts = {};
+
+  for (const n of notes) {
+    const page = pages[n.page - 1];
+    if (!page) continue;
+    const color = hexToRgb(n.color || HIGHLIGHT_COLORS[0].value);
+    const common = { Type: 'Annot', F: 4, C: color, T: text(author), Contents: text(n.content), M: PDFString.fromDate(new Date(n.created || Date.now())) };
+    if (n.rects?.length) {
+      const viewport = (await doc.getPage(n.page)).getViewport({ scale: 1 });
+      const boxes = n.rects.map(r => {
+        const [x1, y1] = viewport.convertToPdfPoint(r.x, r.y);
+        const [x2, y2] = viewport.convertToPdfPoint(r.x + r.w, r.y + r.h);
+        return [Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)];
+      });
+      const rect = [Math.min(...boxes.map(b => b[0])), Math.min(...boxes.map(b => b[1])), Math.max(...boxes.map(b => b[2])), Math.max(...boxes.map(b => b[3]))];
+      const ap = ctx.stream(`/GS0 gs ${color.join(' ')} rg ${boxes.map(([a, b, c, d]) => `${a} ${b} ${c - a} ${d - b} re`).join(' ')} f`, {
+        Type: 'XObject', Subtype: 'Form', BBox: rect,
+        Resources: { ExtGState: { GS0: { Type: 'ExtGState', BM: 'Multiply' } } }
+      });
+      page.node.addAnnot(ctx.register(ctx.obj({
+        ...common, Subtype: 'Highlight', Rect: rect,
+        QuadPoints: boxes.flatMap(([a, b, c, d]) => [a, d, c, d, a, b, c, b]),
+        AP: { N: ctx.register(ap) }
+      })));
+    } else {
+      // Stacked down the left margin from the top, one per note on the page.
+      const { x, y, height } = page.getMediaBox();
+      const i = noteCounts[n.page] = (noteCounts[n.page] || 0) + 1;
+      const top = y + height - 12 - (i - 1) * 28;
+      const noteRef = ctx.nextRef();
+      const popupRef = ctx.register(ctx.obj({ Type: 'Annot', Subtype: 'Popup', Rect: [x + 36, top - 120, x + 236, top], Parent: noteRef, Open: false }));
+      ctx.assign(noteRef, ctx.obj({ ...common, Subtype: 'Text', Name: 'Comment', Rect: [x + 12, top - 20, x + 32, top], Popup: popupRef, Open: false }));
+      page.node.addAnnot(noteRef);
+      page.node.addAnnot(popupRef);
+    }
+  }
+
+  // Renamed chapters are retitled in the file's own outline. Their ids are
+  // index paths through it, in the First/Next order pdf.js read them in.
+  const outlineRoot = out.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  Object.entries(renamed).forEach(([id, title]) => {
+    let node = outlineRoot;
+    for (const idx of id.split('.').map(Number)) {
+      node = node?.lookupMaybe(PDFName.of('First'), PDFDict);
+      for (let i = 0; i < idx && node; i++) node = node.lookupMaybe(PDFName.of('Next'), PDFDict);
+    }
+    if (node && node !== outlineRoot) node.set(PDFName.of('Title'), text(title));
+  });
+
+  const groups = [
+    { title: 'Bookmarks', children: [...bookmarks].sort((a, b) => a.page - b.page).map(b => ({ title: `Page ${pageLabel(b.page)}`, page: b.page })) },
+    { title: 'My Chapters', children: chapters.filter(c => c.user).map(c => ({ title: c.title, page: c.page })) }
+  ].filter(g => g.children.length);
+  if (groups.length) {
+    let root = out.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    if (!root) { root = ctx.obj({ Type: 'Outlines', Count: 0 }); out.catalog.set(PDFName.of('Outlines'), ctx.register(root)); }
+    const rootRef = out.catalog.get(PDFName.of('Outlines'));
+    const dest = (num) => ctx.obj([pages[Math.min(pages.length, Math.max(1, num)) - 1].ref, 'Fit']);
+    // Groups are added collapsed (negative Count), so only they add to the
+    // root's visible count.
+    const link = (parentRef, parent, items) => {
+      const refs = items.map(() => ctx.nextRef());
+      items.forEach((item, i) => {
+        const dict = ctx.obj({ Title: text(item.title), Parent: parentRef });
+        if (item.page) dict.set(PDFName.of('Dest'), dest(item.page));
+        if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+        if (i < refs.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+        if (item.children) {
+          link(refs[i], dict, item.children);
+          dict.set(PDFName.of('Count'), PDFNumber.of(-item.children.length));
+        }
+        ctx.assign(refs[i], dict);
+      });
+      const last = parent.get(PDFName.of('Last'));
+      if (last) {
+        ctx.lookup(last, PDFDict).set(PDFName.of('Next'), refs[0]);
+        ctx.lookup(refs[0], PDFDict).set(PDFName.of('Prev'), last);
+      } else parent.set(PDFName.of('First'), refs[0]);
+      parent.set(PDFName.of('Last'), refs[refs.length - 1]);
+    };
+    link(rootRef, root, groups);
+    const count = root.lookupMaybe(PDFName.of('Count'), PDFNumber)?.asNumber() || 0;
+    root.set(PDFName.of('Count'), PDFNumber.of(count >= 0 ? count + groups.length : count - groups.length));
+  }
+
+  return out.save();
+};
+
+// --- Kindle Clippings Import ---
+// Only the English device format is understood. Entries without a page
+// number (reflowable books only report locations) can't be placed in a PDF.
+const parseKindleClippings = (text) => text.replace(/^\uFEFF/, '').split(/\r?\n==========\s*(?:\r?\n|$)/).map(entry => {
+  const lines = entry.replace(/^\uFEFF/, '').split(/\r?\n/);
+  while (lines.length && !lines[0].trim()) lines.shift();
+  const [titleLine = '', metaLine = '', , ...body] = lines;
+  const type = /Your (Highlight|Note|Bookmark)/i.exec(metaLine)?.[1]?.toLowerCase();
+  if (!type || !titleLine.trim()) return null;
+  const [, title, author] = /^(.*?)(?:\s*\(([^()]*)\))?\s*$/.exec(titleLine.trim());
+  const added = /Added on (?:\w+, )?(.*)$/i.exec(metaLine)?.[1];
+  return {
+    title: title.trim(), author: author?.trim() || '', type,
+    page: parseInt(/\bpage (\d+)/i.exec(metaLine)?.[1], 10) || null,
+    text: body.join('\n').trim(),
+    created: (added && Date.parse(added)) || Date.now()
+  };
+}).filter(Boolean);
+
+const titleKey = (s) => s.toLowerCase().normalize('NFKD').replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Exact title or filename first; otherwise a containment match either way
+// for titles long enough not to match by accident.
+const matchBookByTitle = (library, title) => {
+  const key = titleKey(title);
+  const keys = library.map(b => [b, titleKey(bookTitle(b)), titleKey(stripBookExt(b.name))]);
+  const exact = keys.find(([, t, f]) => t === key || f === key);
+  if (exact) return exact[0];
+  return key.length >= 8 ? keys.find(([, t, f]) => [t, f].some(k => k.length >= 8 && (k.includes(key) || key.includes(k))))?.[0] || null : null;
+};
+
+// --- Reading Analytics ---
+// Reading only counts while the tab is visible and there has been input
+// (mouse, touch, scroll, keys or a page turn) or read-aloud within the idle
+// limit, which is long enough for a dense page. Pace falls back to the old 1.5 min/page
+// estimate until a book has enough logged reading to measure.
+const IDLE_LIMIT_MS = 5 * 60 * 1000;
+const DEFAULT_PAGES_PER_MINUTE = 1 / 1.5;
+
+const readingPace = (entries) => {
+  const seconds = entries.reduce((n, e) => n + e.seconds, 0);
+  const pages = entries.reduce((n, e) => n + e.pages, 0);
+  return seconds >= 300 && pages >= 3 ? pages / (seconds / 60) : null;
+};
+
+// --- Read Aloud ---
+// Sentences are spoken one utterance at a time, which keeps each utterance
+// short enough for engines that stall on long input and gives natural points
+// to highlight, skip and resume. Run-on text is broken at word boundaries.
+const MAX_UTTERANCE = 280;
+
+const splitSentences = (text) => {
+  const sentences = [];
+  const push = (at, segment) => {
+    const trimmed = segment.trim();
+    if (!/\w/.test(trimmed)) return;
+    let start = at + segment.indexOf(trimmed);
+    let rest = trimmed;
+    while (rest.length > MAX_UTTERANCE) {
+      const cut = rest.lastIndexOf(' ', MAX_UTTERANCE);
+      const len = cut > 0 ? cut : MAX_UTTERANCE;
+      sentences.push({ start, end: start + len, text: rest.slice(0, len) });
+      const skipped = rest.slice(len).length - rest.slice(len).trimStart().length;
+      start += len + skipped;
+      rest = rest.slice(len + skipped);
+    }
+    if (rest) sentences.push({ start, end: start + rest.length, text: rest });
+  };
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    for (const { segment, index } of new Intl.Segmenter(undefined, { granularity: 'sentence' }).segment(text)) push(index, segment);
+  } else {
+    const re = /[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)\s*/g;
+    let m;
+    while ((m = re.exec(text)) && m[0]) push(m.index, m[0]);
+  }
+  return sentences;
+};
+
+// --- EPUB & Comic Archives ---
+// Both formats are opened as small shim documents that answer the part of
+// the pdf.js document/page interface the reader uses. Comic pages are images
+// drawn onto the usual canvas; EPUB chapters are one "page" each and are
+// only shown through the reflow view (`reflowOnly`).
+const IMPORT_ACCEPT = '.pdf,.epub,.cbz,application/pdf,application/epub+zip,application/vnd.comicbook+zip';
+const BOOK_FORMAT_LABELS = { epub: 'EPUB', cbz: 'Comic' };
+const IMAGE_MIME = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif', bmp: 'image/bmp', svg: 'image/svg+xml' };
+const mimeFor = (name) => IMAGE_MIME[name.split('.').pop().toLowerCase()] || 'application/octet-stream';
+const EMPTY_TEXT_CONTENT = { items: [], styles: {} };
+
+const isZip = (bytes) => { const h = new Uint8Array(bytes, 0, Math.min(4, bytes.byteLength)); return h[0] === 0x50 && h[1] === 0x4b && h[2] === 0x03 && h[3] === 0x04; };
+
+const detectBookFormat = (bytes, name) => {
+  if (!isZip(bytes)) return 'pdf';
+  try {
+    const { mimetype } = unzipSync(new Uint8Array(bytes), { filter: f => f.name === 'mimetype' });
+    if (mimetype && strFromU8(mimetype).trim() === 'application/epub+zip') return 'epub';
+  } catch (e) {}
+  return /\.epub$/i.test(name) ? 'epub' : 'cbz';
+};
+
+// Image pages have no PDF space; scale 1 is the image's own pixel size.
+const imageViewport = (width, height, scale) => ({
+  width: width * scale, height: height * scale, scale, rotation: 0, viewBox: [0, 0, width, height],
+  transform: [scale, 0, 0, scale, 0, 0],
+  convertToViewportPoint: (x, y) => [x * scale, y * scale],
+  convertToPdfPoint: (x, y) => [x / scale, y / scale],
+  convertToViewportRectangle: (r) => r.map(v => v * scale),
+  clone: ({ scale: s = scale } = {}) => imageViewport(width, height, s)
+});
+
+const shimRenderTask = (draw) => {
+  let cancelled = false;
+  return {
+    promise: Promise.resolve().then(async () => { if (cancelled) throw new Error('cancelled'); await draw(); }),
+    cancel: () => { cancelled = true; }
+  };
+};
+
+const shimDocument = (doc) => ({
+  getOutline: async () => null,
+  getDestination: async (dest) => dest,
+  getPageIndex: async (ref) => ref,
+  getPageLabels: async () => null,
+  getMetadata: async () => ({ info: {} }),
+  destroy: () => {},
+  ...doc
+});
+
+const resolveZipPath = (base, href) => decodeURIComponent(new URL(href, `zip://book/${base}`).pathname.replace(/^\//, ''));
+const xmlText = (node) => (node?.textContent || '').replace(/\s+/g, ' ').trim();
+const parseXml = (bytes, type = 'application/xml') => {
+  const doc = new DOMParser().parseFromString(strFromU8(bytes).replace(/^\uFEFF/, ''), type);
+  return doc.querySelector('parsererror') && type !== 'text/html' ? parseXml(bytes, 'text/html') : doc;
+};
+
+// Reads width and height from the image header, so laying out or indexing a
+// comic never decodes its pages. Returns null for formats it doesn't know
+// (AVIF), which are then decoded once to measure.
+const exifOrientation = (tiff) => {
+  try {
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const le = view.getUint16(0) === 0x4949;
+    const ifd = view.getUint32(4, le);
+    for (let n = view.getUint16(ifd, le), e = ifd + 2; n > 0; n--, e += 12) {
+      if (view.getUint16(e, le) === 0x0112) return view.getUint16(e + 8, le);
+    }
+  } catch (e) {}
+  return 1;
+};
+
+const imageHeaderSize = (b) => {
+  const u16be = (i) => (b[i] << 8) | b[i + 1];
+  const u16le = (i) => b[i] | (b[i + 1] << 8);
+  const u24le = (i) => b[i] | (b[i + 1] << 8) | (b[i + 2] << 16);
+  const tag = (i, n) => String.fromCharCode(...b.subarray(i, i + n));
+  if (b[0] === 0x89 && tag(1, 3) === 'PNG') return [(u16be(16) << 16 | u16be(18)) >>> 0, (u16be(20) << 16 | u16be(22)) >>> 0];
+  if (tag(0, 3) === 'GIF') return [u16le(6), u16le(8)];
+  if (tag(0, 2) === 'BM') return [Math.abs(new DataView(b.buffer, b.byteOffset + 18, 8).getInt32(0, true)), Math.abs(new DataView(b.buffer, b.byteOffset + 18, 8).getInt32(4, true))];
+  if (tag(0, 4) === 'RIFF' && tag(8, 4) === 'WEBP') {
+    const chunk = tag(12, 4);
+    if (chunk === 'VP8 ') return [u16le(26) & 0x3fff, u16le(28) & 0x3fff];
+    if (chunk === 'VP8L') return [1 + (((b[22] & 0x3f) << 8) | b[21]), 1 + (((b[24] & 0x0f) << 10) | (b[23] << 2) | ((b[22] & 0xc0) >> 6))];
+    if (chunk === 'VP8X') return [1 + u24le(24), 1 + u24le(27)];
+    return null;
+  }
+  if (b[0] === 0xff && b[1] === 0xd8) {
+    // Decoding applies the EXIF orientation, so 90° rotations swap the sides.
+    let rotated = false;
+    for (let i = 2; i + 9 < b.length;) {
+      if (b[i] !== 0xff) { i++; continue; }
+      const marker = b[i + 1];
+      if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) { i += marker === 0xff ? 1 : 2; continue; }
+      if (marker === 0xe1 && tag(i + 4, 4) === 'Exif') rotated = exifOrientation(b.subarray(i + 10, i + 2 + u16be(i + 2))) >= 5;
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) return rotated ? [u16be(i + 5), u16be(i + 7)] : [u16be(i + 7), u16be(i + 5)];
+      i += 2 + u16be(i + 2);
+    }
+  }
+  return null;
+};
+
+// Only the image dimensions are cached; pixels are decoded again for each
+// render so a long comic doesn't sit in memory.
+const openComicDocument = async (bytes) => {
+  const files = unzipSync(new Uint8Array(bytes), { filter: f => (/\.(jpe?g|png|gif|webp|avif|bmp)$/i.test(f.name) || /(^|\/)ComicInfo\.xml$/i.test(f.name)) && !/(^|\/)(__MACOSX\/|\.)/.test(f.name) });
+  const names = Object.keys(files).filter(n => !/\.xml$/i.test(n)).sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+  if (!names.length) throw new Error('No images in archive');
+  const decode = (num) => createImageBitmap(new Blob([files[names[num - 1]]], { type: mimeFor(names[num - 1]) }));
+  const sizes = new Map();
+  const infoFile = Object.keys(files).find(n => /ComicInfo\.xml$/i.test(n));
+  const info = infoFile ? parseXml(files[infoFile]) : null;
+  return shimDocument({
+    format: 'cbz',
+    numPages: names.length,
+    getPage: async (num) => {
+      if (!sizes.has(num)) {
+        let size = imageHeaderSize(files[names[num - 1]]);
+        if (!size?.[0] || !size?.[1]) { const bmp = await decode(num); size = [bmp.width, bmp.height]; bmp.close?.(); }
+        sizes.set(num, size);
+      }
+      const [w, h] = sizes.get(num);
+      return {
+        getViewport: ({ scale }) => imageViewport(w, h, scale),
+        render: ({ canvasContext, viewport }) => shimRenderTask(async () => {
+          const bmp = await decode(num);
+          canvasContext.drawImage(bmp, 0, 0, viewport.width, viewport.height);
+          bmp.close?.();
+        }),
+        getTextContent: async () => EMPTY_TEXT_CONTENT,
+        getAnnotations: async () => []
+      };
+    },
+    getMetadata: async () => ({
+      info: info ? { Title: xmlText(info.querySelector('Title')) || xmlText(info.querySelector('Series')), Author: xmlText(info.querySelector('Writer')), Subject: xmlText(info.querySelector('Summary')) } : {}
+    })
+  });
+};
+
+const EPUB_BLOCKS = 'p,div,h1,h2,h3,h4,h5,h6,li,blockquote,section,article,table,ul,ol,dl,figure,aside,header,footer,pre';
+
+// Chapter XHTML becomes the same block list the PDF reflow produces, plus
+// image blocks pointing at object URLs for the archive's own files.
+const epubBlocks = (root, imageUrl) => {
+  const blocks = [];
+  const addImage = (img) => {
+    const src = img.getAttribute('src') || img.getAttribute('xlink:href') || img.getAttribute('href');
+    const url = src && imageUrl(src);
+    if (url) blocks.push({ type: 'img', src: url, text: img.getAttribute('alt') || '' });
+  };
+  const walk = (el) => {
+    for (const node of el.children) {
+      const tag = node.localName.toLowerCase();
+      if (['script', 'style', 'head', 'nav'].includes(tag)) continue;
+      if (/^h[1-6]$/.test(tag)) { const text = xmlText(node); if (text) blocks.push({ type: tag <= 'h2' ? 'h2' : 'h3', text }); continue; }
+      if (tag === 'img' || tag === 'image') { addImage(node); continue; }
+      if (node.querySelector(EPUB_BLOCKS)) { walk(node); continue; }
+      node.querySelectorAll('img, image').forEach(addImage);
+      const text = xmlText(node);
+      if (text) blocks.push({ type: 'p', text });
+    }
+  };
+  walk(root);
+  return blocks;
+};
+
+const openEpubDocument = async (bytes) => {
+  const files = unzipSync(new Uint8Array(bytes));
+  const read = (path) => files[path] || files[Object.keys(files).find(k => k.toLowerCase() === path.toLowerCase())];
+  const container = parseXml(read('META-INF/container.xml'));
+  const opfPath = container.querySelector('rootfile')?.getAttribute('full-path');
+  if (!opfPath || !read(opfPath)) throw new Error('Missing EPUB package document');
+  const opf = parseXml(read(opfPath));
+  const manifest = {};
+  opf.querySelectorAll('manifest > item').forEach(i => {
+    manifest[i.getAttribute('id')] = { href: resolveZipPath(opfPath, i.getAttribute('href')), type: i.getAttribute('media-type') || '', props: i.getAttribute('properties') || '' };
+  });
+  const spine = [...opf.querySelectorAll('spine > itemref')].map(r => manifest[r.getAttribute('idref')]).filter(i => i && read(i.href));
+  if (!spine.length) throw new Error('Empty EPUB spine');
+  const spineIndex = (path) => spine.findIndex(i => i.href === path.split('#')[0]);
+  const meta = (name) => xmlText([...opf.getElementsByTagName('*')].find(e => e.localName === name));
+
+  const urls = new Map();
+  const imageUrl = (path) => {
+    const data = read(path);
+    if (!data) return null;
+    if (!urls.has(path)) urls.set(path, URL.createObjectURL(new Blob([data], { type: mimeFor(path) })));
+    return urls.get(path);
+  };
+  const chapters = new Map();
+  const chapter = (num) => {
+    if (!chapters.has(num)) {
+      const item = spine[num - 1];
+      const doc = parseXml(read(item.href), item.type.includes('html') && !item.type.includes('xhtml') ? 'text/html' : 'application/xhtml+xml');
+      chapters.set(num, epubBlocks(doc.querySelector('body') || doc.documentElement, (src) => imageUrl(resolveZipPath(item.href, src))));
+    }
+    return chapters.get(num);
+  };
+
+  // EPUB 3 nav document first, then the EPUB 2 NCX.
+  const readToc = () => {
+    const navItem = Object.values(manifest).find(i => i.props.split(/\s+/).includes('nav'));
+    if (navItem && read(navItem.href)) {
+      const nav = parseXml(read(navItem.href), 'application/xhtml+xml');
+      const toc = [...nav.querySelectorAll('nav')].find(n => (n.getAttribute('epub:type') || '').includes('toc')) || nav.querySelector('nav');
+      const walk = (ol) => [...(ol?.children || [])].filter(li => li.localName === 'li').map(li => {
+        const a = [...li.children].find(c => c.localName === 'a' || c.localName === 'span');
+        const idx = a?.getAttribute('href') ? spineIndex(resolveZipPath(navItem.href, a.getAttribute('href'))) : -1;
+        return { title: xmlText(a), dest: idx >= 0 ? [idx] : null, items: walk([...li.children].find(c => c.localName === 'ol')) };
+      });
+      const items = walk(toc?.querySelector('ol'));
+      if (items.length) return items;
+    }
+    const ncxItem = manifest[opf.querySelector('spine')?.getAttribute('toc')] || Object.values(manifest).find(i => i.type === 'application/x-dtbncx+xml');
+    if (!ncxItem || !read(ncxItem.href)) return null;
+    const ncx = parseXml(read(ncxItem.href));
+    const walk = (parent) => [...parent.children].filter(c => c.localName === 'navPoint').map(p => {
+      const src = [...p.children].find(c => c.localName === 'content')?.getAttribute('src');
+      const idx = src ? spineIndex(resolveZipPath(ncxItem.href, src)) : -1;
+      return { title: xmlText([...p.children].find(c => c.localName === 'navLabel')), dest: idx >= 0 ? [idx] : null, items: walk(p) };
+    });
+    const map = [...ncx.getElementsByTagName('*')].find(e => e.localName === 'navMap');
+    return map ? walk(map) : null;
+  };
+
+  const coverItem = Object.values(manifest).find(i => i.props.split(/\s+/).includes('cover-image'))
+    || manifest[[...opf.querySelectorAll('meta')].find(m => m.getAttribute('name') === 'cover')?.getAttribute('content')];
+
+  return shimDocument({
+    format: 'epub',
+    reflowOnly: true,
+    numPages: spine.length,
+    getReflowBlocks: async (num) => chapter(num),
+    getPage: async (num) => ({
+      getViewport: ({ scale }) => imageViewport(600, 800, scale),
+      // Only used when something needs a bitmap of the chapter, such as a
+      // thumbnail: a plain page with the chapter's first heading.
+      render: ({ canvasContext: ctx, viewport }) => shimRenderTask(() => {
+        ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, viewport.width, viewport.height);
+        ctx.fillStyle = '#222'; ctx.textAlign = 'center';
+        ctx.font = `bold ${28 * viewport.scale}px serif`;
+        ctx.fillText((chapter(num).find(b => b.type !== 'img')?.text || `Chapter ${num}`).slice(0, 40), viewport.width / 2, viewport.height / 3, viewport.width * 0.85);
+      }),
+      getTextContent: async () => ({ styles: {}, items: chapter(num).filter(b => b.type !== 'img').map(b => ({ str: b.text, hasEOL: true, transform: [1, 0, 0, 1, 0, 0], width: 0, height: 0, fontName: '' })) }),
+      getAnnotations: async () => []
+    }),
+    getOutline: async () => readToc(),
+    getMetadata: async () => ({
+      info: { Title: meta('title'), Author: meta('creator'), Subject: meta('subject') || meta('description'), CreationDate: meta('date') ? `D:${meta('date').replace(/\D/g, '').slice(0, 14)}` : undefined }
+    }),
+    getCoverImage: async () => {
+      if (!coverItem || !read(coverItem.href)) return null;
+      const bmp = await createImageBitmap(new Blob([read(coverItem.href)], { type: mimeFor(coverItem.href) }));
+      const ratio = Math.min(1, 320 / bmp.width);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(bmp.width * ratio); canvas.height = Math.round(bmp.height * ratio);
+      canvas.getContext('2d').drawImage(bmp, 0, 0, canvas.width, canvas.height);
+      bmp.close?.();
+      return canvas.toDataURL('image/jpeg', 0.8);
+    },
+    destroy: () => { urls.forEach(u => URL.revokeObjectURL(u)); urls.clear(); }
+  });
+};
+
+// pdf.js asks onPassword(retry) for a password whenever the given one is
+// missing or wrong; returning null gives up with a PasswordException. Without
+// onPassword an encrypted file fails straight away.
+const openPdfDocument = (pdfjs, bytes, { password, onPassword }) => new Promise((resolve, reject) => {
+  const task = pdfjs.getDocument({ data: new Uint8Array(bytes).slice(), password });
+  task.onPassword = async (update, reason) => {
+    const next = onPassword ? await onPassword(reason === pdfjs.PasswordResponses.INCORRECT_PASSWORD) : null;
+    if (next != null) return update(next);
+    // Named like pdf.js's own error, which the package doesn't export.
+    reject(Object.assign(new Error('A password is required to open this book.'), { name: 'PasswordException', code: reason }));
+    task.destroy();
+  };
+  task.promise.then(resolve, reject);
+});
+
+// pdf.js takes ownership of the buffer it's given, so it gets a copy.
+const openBookDocument = (pdfjs, bytes, format = 'pdf', options = {}) => {
+  if (!bytes) return Promise.reject(new Error('The book file is missing from storage.'));
+  if (format === 'epub') return openEpubDocument(bytes);
+  if (format === 'cbz') return openComicDocument(bytes);
+  if (!pdfjs) return Promise.reject(new Error('The PDF engine has not loaded.'));
+  return openPdfDocument(pdfjs, bytes, options);
+};
+
+const describeOpenError = (err) => {
+  switch (err?.name) {
+    case 'PasswordException': return 'This book is password protected and no valid password was given.';
+    case 'InvalidPDFException': return "The file is damaged, or isn't a PDF, EPUB or CBZ book.";
+    case 'MissingPDFException': return 'The file is empty or missing.';
+    default: return err?.message || 'The file could not be opened.';
+  }
+};
+
+// --- Bulk Import ---
+const IMPORT_PATTERN = /\.(pdf|epub|cbz)$/i;
+const IMPORT_STATUS = { queued: 'Waiting', reading: 'Reading', hashing: 'Checking', duplicate: 'Already in library', saving: 'Adding', done: 'Added', skipped: 'Skipped', error: 'Failed' };
+const IMPORT_FINISHED = ['done', 'skipped', 'error'];
+
+// SubtleCrypto only exists in secure contexts; without it books simply go
+// unhashed and duplicates aren't detected.
+const hashBytes = async (buf) => {
+  if (!globalThis.crypto?.subtle) return null;
+  return [...new Uint8Array(await crypto.subtle.digest('SHA-256', buf))].map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const readFileBuffer = (file, onProgress) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onprogress = (e) => { if (e.lengthComputable) onProgress(e.loaded / e.total); };
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(file);
+});
+
+const readDroppedEntry = (entry) => new Promise((resolve) => {
+  if (entry.isFile) return entry.file(f => resolve([f]), () => resolve([]));
+  const reader = entry.createReader();
+  const entries = [];
+  // readEntries hands directories back in batches until it returns none.
+  const next = () => reader.readEntries(async (batch) => {
+    if (batch.length) { entries.push(...batch); return next(); }
+    resolve((await Promise.all(entries.map(readDroppedEntry))).flat());
+  }, () => resolve([]));
+  next();
+});
+
+// Folders arrive as directory entries, which have to be pulled out of the
+// DataTransfer synchronously, before the drop event returns.
+const droppedBookFiles = async (dataTransfer) => {
+  const entries = [...(dataTransfer.items || [])].map(i => i.webkitGetAsEntry?.()).filter(Boolean);
+  const files = entries.length ? (await Promise.all(entries.map(readDroppedEntry))).flat() : [...dataTransfer.files];
+  return files.filter(f => IMPORT_PATTERN.test(f.name)).sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+};
+
+// --- Render Pipeline ---
+// Pages are rasterised off-screen at device resolution and kept as bitmaps in
+// an LRU bounded by pixel count, so flipping to a cached or prefetched page is
+// a single drawImage. Each target canvas waits on at most one render; a
+// render nobody waits on any more is cancelled.
+const RENDER_CACHE_PIXELS = 48e6;
+
+const createRenderManager = (doc) => {
+  const entries = new Map();
+  const claims = new WeakMap();
+  let prefetches = [];
+
+  const evict = () => {
+    let pixels = 0;
+    entries.forEach(e => { if (e.bitmap) pixels += e.bitmap.width * e.bitmap.height; });
+    for (const [key, e] of entries) {
+      if (pixels <= RENDER_CACHE_PIXELS) break;
+      // A held entry is about to be drawn; closing it would hand draw() a dead bitmap.
+      if (!e.bitmap || e.holds > 0) continue;
+      pixels -= e.bitmap.width * e.bitmap.height;
+      e.bitmap.close?.();
+      entries.delete(key);
+    }
+  };
+
+  const claim = (num, scale) => {
+    const dpr = window.devicePixelRatio || 1;
+    const key = `${num}@${scale}@${dpr}`;
+    let entry = entries.get(key);
+    if (entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+    } else {
+      entry = { holds: 0, task: null, cancelled: false, bitmap: null };
+      entry.promise = doc.getPage(num).then((page) => {
+        if (entry.cancelled) throw new Error('cancelled');
+        const viewport = page.getViewport({ scale: scale * dpr });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+        entry.cssWidth = viewport.width / dpr;
+        entry.cssHeight = viewport.height / dpr;
+        entry.task = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+        return entry.task.promise
+          .then(() => (typeof createImageBitmap === 'function' ? createImageBitmap(canvas) : canvas))
+          .then((bitmap) => { entry.bitmap = bitmap; if (bitmap !== canvas) canvas.width = 0; evict(); return entry; });
+      });
+      entry.promise.catch(() => { if (entries.get(key) === entry) entries.delete(key); });
+      entries.set(key, entry);
+    }
+    entry.holds++;
+    let released = false;
+    return {
+      entry,
+      release: () => {
+        if (released) return;
+        released = true;
+        if (--entry.holds > 0 || entry.bitmap) return;
+        entry.cancelled = true;
+        entry.task?.cancel();
+        entries.delete(key);
+      }
+    };
+  };
+
+  return {
+    // Resolves true once the page is on the canvas, false if superseded.
+    draw: async (canvas, num, scale) => {
+      claims.get(canvas)?.release();
+      const c = claim(num, scale);
+      claims.set(canvas, c);
+      try {
+        const { bitmap, cssWidth, cssHeight } = await c.entry.promise;
+        if (claims.get(canvas) !== c) return false;
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.style.width = `${cssWidth}px`;
+        canvas.style.height = `${cssHeight}px`;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        return true;
+      } catch (err) {
+        if (claims.get(canvas) !== c || c.entry.cancelled) return false;
+        throw err;
+      } finally { c.release(); }
+    },
+    cancel: (canvas) => { claims.get(canvas)?.release(); claims.delete(canvas); },
+    prefetch: (nums, scale) => {
+      const next = nums.filter(n => n >= 1 && n <= doc.numPages).map(n => claim(n, scale));
+      prefetches.forEach(c => c.release());
+      prefetches = next;
+      next.forEach(c => c.entry.promise.catch(() => {}).finally(c.release));
+    },
+    destroy: () => {
+      prefetches.forEach(c => c.release());
+      entries.forEach(e => { e.cancelled = true; e.task?.cancel(); e.bitmap?.close?.(); });
+      entries.clear();
+    }
+  };
+};
+
+// --- Continuous Scroll ---
+const PAGE_GAP = 32;
+
+// One slot in the continuous layout, always sized from the page viewport.
+// The canvas only exists while the page is near the viewport; unmounting it
+// releases the bitmap.
+const ScrollPage = ({ num, slot, active, scale, dpr, retry, render, release, canvasClassName, children, overlay }) => {
+  const canvasRef = useRef(null);
+  const layerRef = useRef(null);
+  useEffect(() => {
+    if (!active) return;
+    render(num, canvasRef, layerRef);
+    const canvas = canvasRef.current;
+    return () => { release(canvas); canvas.width = 0; canvas.height = 0; };
+  }, [num, active, scale, dpr, retry]);
+  return (
+    <div className="absolute left-1/2 -translate-x-1/2 bg-white shadow-[0_30px_60px_-20px_rgba(0,0,0,0.3)] rounded-sm overflow-hidden" style={{ top: slot.top, width: slot.width, height: slot.height }}>
+      {active ? (
+        <>
+          <canvas ref={canvasRef} className={canvasClassName} />
+          {children}
+          <div ref={layerRef} className="textLayer" />
+          {overlay}
+        </>
+      ) : (
+        <div className="w-full h-full flex items-center justify-center text-[10px] font-black opacity-10 tracking-widest">PG {num}</div>
+      )}
+    </div>
+  );
+};
+
+// Asks for its image only once the tile scrolls near the viewport, so a long
+// book's grid doesn't render every page up front.
+const PageThumbnail = ({ num, load, className, children }) => {
+  const ref = useRef(null);
+  const [src, setSrc] = useState(null);
+  useEffect(() => {
+    setSrc(null);
+    let cancelled = false;
+    const observer = new IntersectionObserver(([entry]) => {
+      if (!entry.isIntersecting) return;
+      observer.disconnect();
+      load(num).then(url => { if (!cancelled) setSrc(url); });
+    }, { rootMargin: '200px' });
+    observer.observe(ref.current);
+    return () => { cancelled = true; observer.disconnect(); };
+  }, [num, load]);
+  return (
+    <div ref={ref} className={`relative bg-white flex items-center justify-center overflow-hidden ${className}`}>
+      {src ? <img src={src} alt={`Page ${num}`} className="w-full h-full object-contain" draggable={false} /> : <span className="text-[10px] font-black opacity-10 tracking-widest text-black">PG {num}</span>}
+      {children}
+    </div>
+  );
+};
+
+const App = () => {
+  // --- Core Reader State ---
+  const [libReady, setLibReady] = useState(false);
+  const [libError, setLibError] = useState(null);
+  const [openError, setOpenError] = useState(null);
+  const [passwordRequest, setPasswordRequest] = useState(null);
+  const [pageErrors, setPageErrors] = useState({});
+  const [renderRetry, setRenderRetry] = useState(0);
+  const [pdfFile, setPdfFile] = useState(null); 
+  const [pdfDoc, setPdfDoc] = useState(null);   
+  const [numPages, setNumPages] = useState(0);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [scale, setScale] = useState(DEFAULT_PREFS.scale);
+  const [zoomMode, setZoomMode] = useState(DEFAULT_PREFS.zoomMode);
+  const [theme, setTheme] = useState(DEFAULT_PREFS.theme);
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [sidebarTab, setSidebarTab] = useState(DEFAULT_PREFS.sidebarTab);
+  const [library, setLibrary] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [bookmarks, setBookmarks] = useState([]);
+  const [notes, setNotes] = useState([]);
+  const [outline, setOutline] = useState([]);
+  const [userChapters, setUserChapters] = useState(EMPTY_USER_CHAPTERS);
+  const [expandedOutline, setExpandedOutline] = useState(() => new Set());
+  const [pageLabels, setPageLabels] = useState(null);
+  const [pageLinks, setPageLinks] = useState({});
+  const [navHistory, setNavHistory] = useState({ back: [], forward: [] });
+
+  // --- Premium UI & Customization ---
+  const [focusMode, setFocusMode] = useState(false);
+  const [isTwoPage, setIsTwoPage] = useState(false);
+  const [isContinuous, setIsContinuous] = useState(false);
+  const [reflowSetting, setIsReflow] = useState(false);
+  const isReflow = reflowSetting || !!pdfDoc?.reflowOnly;
+  const [reflowFontSize, setReflowFontSize] = useState(DEFAULT_PREFS.reflowFontSize);
+  const [reflowContent, setReflowContent] = useState(null);
+  const [reflowScreen, setReflowScreen] = useState(0);
+  const [reflowScreens, setReflowScreens] = useState(1);
+  const [reflowWidth, setReflowWidth] = useState(0);
+  const [pageSizes, setPageSizes] = useState([]);
+  const [scrollView, setScrollView] = useState({ top: 0, height: 0 });
+  const [dpr, setDpr] = useState(window.devicePixelRatio || 1);
+  const [blueLightFilter, setBlueLightFilter] = useState(DEFAULT_PREFS.blueLightFilter);
+  const [margins, setMargins] = useState(DEFAULT_PREFS.margins);
+  const [lineSpacing, setLineSpacing] = useState(DEFAULT_PREFS.lineSpacing);
+  const [fontFamily, setFontFamily] = useState(DEFAULT_PREFS.fontFamily);
+  const [showSettings, setShowSettings] = useState(false);
+  const [lastActivity, setLastActivity] = useState(Date.now());
+  const [jumpPageInput, setJumpPageInput] = useState('');
+  const [libSearch, setLibSearch] = useState('');
+  const [collections, setCollections] = useState([]);
+  const [shelfView, setShelfView] = useState(DEFAULT_SHELF_VIEW);
+  const [shelfMenu, setShelfMenu] = useState(null);
+  const [editingBook, setEditingBook] = useState(null);
+  const [importQueue, setImportQueue] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [showPageGrid, setShowPageGrid] = useState(false);
+  const [sliderPreview, setSliderPreview] = useState(null);
+  const [notebookExport, setNotebookExport] = useState({ format: 'md', scope: 'book' });
+  const [notebookBusy, setNotebookBusy] = useState(false);
+  const [shortcuts, setShortcuts] = useState(DEFAULT_SHORTCUTS);
+  const [showPalette, setShowPalette] = useState(false);
+  const [paletteQuery, setPaletteQuery] = useState('');
+  const [paletteIndex, setPaletteIndex] = useState(0);
+  const [showHelp, setShowHelp] = useState(false);
+  const [recordingAction, setRecordingAction] = useState(null);
+  const [libTextResults, setLibTextResults] = useState([]);
+  const [indexingBook, setIndexingBook] = useState(null);
+  const [indexError, setIndexError] = useState(null);
+  const [showStorage, setShowStorage] = useState(false);
+  const [storageInfo, setStorageInfo] = useState(null);
+  const [storageSelection, setStorageSelection] = useState([]);
+  const [backupStatus, setBackupStatus] = useState(null);
+  const [restoreMode, setRestoreMode] = useState('merge');
+
+  // --- Intelligence & Stats ---
+  const [sessionSeconds, setSessionSeconds] = useState(0);
+  const [totalTimeInBook, setTotalTimeInBook] = useState(0);
+  const [readingLog, setReadingLog] = useState([]);
+  const [dailyGoal, setDailyGoal] = useState(30);
+
+  // --- TTS State ---
+  const [isSpeaking, setIsSpeaking] = useState(false);
+  const [speechRate, setSpeechRate] = useState(DEFAULT_PREFS.speechRate);
+  const [speechPitch, setSpeechPitch] = useState(DEFAULT_PREFS.speechPitch);
+  const [voices, setVoices] = useState([]);
+  const [selectedVoice, setSelectedVoice] = useState(null);
+  const [ttsCursor, setTtsCursor] = useState(null);
+  const [ttsMarks, setTtsMarks] = useState(null);
+  const [showTTSPanel, setShowTTSPanel] = useState(false);
+  const [sleepAt, setSleepAt] = useState(null);
+  const [sleepMinutes, setSleepMinutes] = useState(0);
+  const synth = window.speechSynthesis;
+
+  // --- Search State ---
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchProgress, setSearchProgress] = useState(0);
+  const [activeHit, setActiveHit] = useState(-1);
+  const [searchedFor, setSearchedFor] = useState('');
+  const [searchMarks, setSearchMarks] = useState({});
+
+  // --- Selection & Highlighting ---
+  const [selectionPopover, setSelectionPopover] = useState(null);
+
+  // --- Drag-to-Flip Physics ---
+  const [dragOffset, setDragOffset] = useState(0);
+  const [isDragging, setIsDragging] = useState(false);
+  const [dragStartX, setDragStartX] = useState(0);
+  const [dragDirection, setDragDirection] = useState(null);
+
+  // Refs
+  const canvasRef = useRef(null);
+  const canvasTwoRef = useRef(null);
+  const textLayerRef = useRef(null);
+  const textLayerTwoRef = useRef(null);
+  const textDivsRef = useRef({});
+  const fileInputRef = useRef(null);
+  const backupInputRef = useRef(null);
+  const clippingsInputRef = useRef(null);
+  const pdfjsLibRef = useRef(null);
+  const mainRef = useRef(null);
+  const scrollPageRef = useRef(null);
+  const scrollFrameRef = useRef(null);
+  const renderManagerRef = useRef(null);
+  const zoomAnchorRef = useRef(null);
+  const preferredVoiceRef = useRef(DEFAULT_PREFS.voice);
+  const pinchRef = useRef(null);
+  const keyHandlerRef = useRef(null);
+  const ttsRunRef = useRef(0);
+  const ttsResumeRef = useRef(null);
+  const ttsSettingsRef = useRef({});
+  const activityRef = useRef({});
+  const logPendingRef = useRef({ file: null, seconds: 0, pages: 0 });
+  const lastLoggedPageRef = useRef(null);
+  const textLayerTasksRef = useRef(new WeakMap());
+  const textCacheRef = useRef(new Map());
+  const searchRunRef = useRef(0);
+  const indexingRef = useRef(new Set());
+  const importChainRef = useRef(Promise.resolve());
+  const duplicateChoiceRef = useRef(new Map());
+  const sessionPasswordsRef = useRef(new Map());
+  const lockedBooksRef = useRef(new Set());
+  const linksLoadingRef = useRef(new Set());
+  const reflowRef = useRef(null);
+  const reflowEntryRef = useRef('start');
+  const reflowShownRef = useRef(null);
+
+  // --- Initialization Logic ---
+  useEffect(() => {
+    // pdf.js is a separate chunk; if it can't be fetched (offline before it
+    // was cached, a bad deploy) the shelf says so instead of waiting forever.
+    // The browser remembers a failed module fetch, so retrying means a reload.
+    loadPdfJs().then((lib) => {
+      lib.GlobalWorkerOptions.workerSrc = WORKER_URL;
+      pdfjsLibRef.current = lib;
+      setLibReady(true);
+    }).catch((err) => setLibError(err?.message || 'Network error'));
+    loadLib();
+
+    const loadVoices = () => {
+      const available = synth.getVoices();
+      if (!available.length) return;
+      setVoices(available);
+      setSelectedVoice(current => current || available.find(v => v.voiceURI === preferredVoiceRef.current) || available.find(v => (v.name.includes('Natural') || v.name.includes('Male')) && v.lang.startsWith('en')) || available[0]);
+    };
+    loadVoices();
+    if (synth.onvoiceschanged !== undefined) synth.onvoiceschanged = loadVoices;
+    return () => synth.cancel();
+  }, []);
+
+  // Focus Mode Logic: Auto-hide UI after 5s of no movement
+  useEffect(() => {
+    const activityTimer = setInterval(() => {
+      if (pdfDoc && Date.now() - lastActivity > 5000 && !sidebarOpen && !showSettings && !showTTSPanel) setFocusMode(true);
+    }, 1000);
+    return () => clearInterval(activityTimer);
+  }, [lastActivity, sidebarOpen, pdfDoc, showSettings, showTTSPanel]);
+
+  // Session Tracking
+  activityRef.current = { last: lastActivity, speaking: isSpeaking };
+  // Touch and scroll events arrive in bursts; a second's resolution is plenty.
+  const markActivity = () => { if (Date.now() - activityRef.current.last > 1000) setLastActivity(Date.now()); };
+
+  const flushReadingLog = () => {
+    const { file, seconds, pages } = logPendingRef.current;
+    if (!file || (!seconds && !pages)) return;
+    logPendingRef.current = { file, seconds: 0, pages: 0 };
+    addReadingLog(file, seconds, pages).then(() => getAllRecords(READING_LOG_STORE)).then(setReadingLog);
+  };
+
+  useEffect(() => {
+    let timer;
+    if (pdfDoc && !isLoading) {
+      timer = setInterval(() => {
+        const { last, speaking } = activityRef.current;
+        if (document.hidden || (!speaking && Date.now() - last > IDLE_LIMIT_MS)) return;
+        setSessionSeconds(prev => prev + 1);
+        setTotalTimeInBook(prev => prev + 1);
+        if (++logPendingRef.current.seconds >= 15) flushReadingLog();
+      }, 1000);
+    }
+    return () => clearInterval(timer);
+  }, [pdfDoc, isLoading]);
+
+  useEffect(() => {
+    logPendingRef.current = { file: pdfFile, seconds: 0, pages: 0 };
+    lastLoggedPageRef.current = null;
+    const onHide = () => { if (document.hidden) flushReadingLog(); };
+    document.addEventListener('visibilitychange', onHide);
+    window.addEventListener('pagehide', flushReadingLog);
+    return () => {
+      flushReadingLog();
+      document.removeEventListener('visibilitychange', onHide);
+      window.removeEventListener('pagehide', flushReadingLog);
+    };
+  }, [pdfFile]);
+
+  // Only forward moves of a page or a spread count as pages read; jumps
+  // through the outline or slider don't.
+  useEffect(() => {
+    if (!pdfFile) return;
+    const delta = currentPage - (lastLoggedPageRef.current ?? currentPage);
+    lastLoggedPageRef.current = currentPage;
+    if (delta > 0 && delta <= 2) logPendingRef.current.pages += delta;
+    setLastActivity(Date.now());
+  }, [currentPage, pdfFile]);
+
+  const loadLib = async () => {
+    const db = await initDB();
+    const tx = db.transaction(METADATA_STORE, 'readonly');
+    const req = tx.objectStore(METADATA_STORE).getAll();
+    req.onsuccess = () => setLibrary(req.result.map(({ password, ...b }) => b).sort((a,b) => b.lastOpened - a.lastOpened));
+    setReadingLog(await getAllRecords(READING_LOG_STORE));
+    setDailyGoal(await getState('dailyGoalMinutes', 30));
+    setCollections(await getState('collections', []));
+  };
+
+  // Annotations are held in state for the open book only and written through
+  // to their stores record by record.
+  const loadAnnotations = async (id) => {
+    const [b, n] = await Promise.all([getBookRecords(BOOKMARK_STORE, id), getBookRecords(NOTE_STORE, id)]);
+    setBookmarks(b); setNotes(n);
+  };
+
+  const addNote = (note) => { setNotes(ns => [...ns, note]); putRecord(NOTE_STORE, note); };
+  const removeNote = (id) => { setNotes(ns => ns.filter(n => n.id !== id)); deleteRecord(NOTE_STORE, id); };
+
+  const toggleBookmark = (page = currentPage) => {
+    const exists = bookmarks.find(b => b.page === page && b.file === pdfFile);
+    if (exists) { setBookmarks(bs => bs.filter(b => b.id !== exists.id)); deleteRecord(BOOKMARK_STORE, exists.id); }
+    else { const b = { id: Date.now(), page, file: pdfFile, created: Date.now() }; setBookmarks(bs => [...bs, b]); putRecord(BOOKMARK_STORE, b); }
+  };
+
+  // --- Page Thumbnails ---
+  // One cache per open document. Renders queue behind each other so scrolling
+  // through the grid doesn't start dozens of page renders at once.
+  const loadThumbnail = useMemo(() => {
+    const cache = new Map();
+    let queue = Promise.resolve();
+    const doc = pdfDoc, file = pdfFile;
+    return (num) => {
+      if (!cache.has(num)) cache.set(num, (async () => {
+        const stored = await getThumbnail(file, num);
+        if (stored) return stored;
+        const run = queue.then(() => renderThumbnail(doc, num));
+        queue = run.catch(() => {});
+        const image = await run.catch(() => null);
+        if (image) putRecord(THUMB_STORE, { id: `${file}|${num}`, file, page: num, image });
+        return image;
+      })());
+      return cache.get(num);
+    };
+  }, [pdfDoc]);
+
+  const pageMarks = useMemo(() => {
+    const marks = {};
+    bookmarks.forEach(b => { if (b.file === pdfFile) (marks[b.page] ||= {}).bookmark = true; });
+    notes.forEach(n => { if (n.file === pdfFile) (marks[n.page] ||= {}).note = true; });
+    return marks;
+  }, [bookmarks, notes, pdfFile]);
+
+  useEffect(() => {
+    if (showPageGrid || (sidebarOpen && sidebarTab === 'pages')) document.querySelectorAll('[data-thumb-current]').forEach(el => el.scrollIntoView({ block: 'center' }));
+  }, [showPageGrid, sidebarOpen, sidebarTab]);
+
+  useEffect(() => { setShowPageGrid(false); setSliderPreview(null); }, [pdfDoc]);
+
+  const thumbnailTiles = (onPick) => Array.from({ length: numPages }, (_, i) => i + 1).map(num => (
+    <button key={num} onClick={() => onPick(num)} data-thumb-current={num === currentPage || undefined} className="group text-left">
+      <PageThumbnail num={num} load={loadThumbnail} className={`aspect-[3/4] rounded-lg shadow-md transition-all ${num === currentPage ? 'ring-[3px] ring-blue-600' : 'ring-1 ring-black/10 group-hover:ring-blue-600/50'}`}>
+        {pageMarks[num]?.bookmark && <Bookmark size={14} className="absolute top-0 right-1.5 text-red-500 fill-red-500" />}
+        {pageMarks[num]?.note && <StickyNote size={12} className="absolute bottom-1.5 right-1.5 text-amber-500" />}
+      </PageThumbnail>
+      <span className={`block text-center text-[10px] font-mono mt-1.5 ${num === currentPage ? 'text-blue-600 font-bold' : 'opacity-40'}`}>{pageLabel(num)}</span>
+    </button>
+  ));
+
+  // --- Core PDF Processing & Rendering ---
+  useEffect(() => {
+    renderManagerRef.current?.destroy();
+    renderManagerRef.current = pdfDoc ? createRenderManager(pdfDoc) : null;
+    return () => { if (pdfDoc?.format) pdfDoc.destroy(); };
+  }, [pdfDoc]);
+
+  useEffect(() => {
+    const onResize = () => setDpr(window.devicePixelRatio || 1);
+    window.addEventListener('resize', onResize);
+    return () => window.removeEventListener('resize', onResize);
+  }, []);
+
+  // Only inputs that change the raster belong here; typography and theme are
+  // applied with CSS around the canvas.
+  useEffect(() => {
+    if (pdfDoc) {
+      setSelectionPopover(null);
+      if (!isContinuous && !isReflow) {
+        renderPage(currentPage, canvasRef, textLayerRef);
+        if (isTwoPage && currentPage < numPages) {
+          renderPage(currentPage + 1, canvasTwoRef, textLayerTwoRef);
+        }
+        const step = isTwoPage ? 2 : 1;
+        renderManagerRef.current?.prefetch(isTwoPage ? [currentPage + 2, currentPage + 3, currentPage - 2, currentPage - 1] : [currentPage + step, currentPage - step], scale);
+      }
+      if (pdfFile) updateMeta(pdfFile, { lastPage: currentPage, lastOpened: Date.now(), totalTime: totalTimeInBook });
+    }
+  }, [pdfDoc, currentPage, scale, dpr, isTwoPage, isContinuous, isReflow, renderRetry]);
+
+  useEffect(() => { setPageErrors({}); }, [pdfDoc]);
+
+  const retryPage = (num) => {
+    setPageErrors(e => { const { [num]: _, ...rest } = e; return rest; });
+    setRenderRetry(r => r + 1);
+  };
+
+  const renderPageError = (num, fill) => pageErrors[num] && (
+    <div className={`${fill ? 'absolute inset-0' : 'w-[min(80vw,34rem)] aspect-[3/4]'} bg-white text-black flex flex-col items-center justify-center gap-3 p-8 text-center z-10`}>
+      <AlertCircle size={28} className="text-red-600" />
+      <p className="text-xs font-black uppercase tracking-widest">Page {pageLabel(num)} couldn't be displayed</p>
+      <p className="text-[11px] opacity-50 max-w-xs break-words">{pageErrors[num]}</p>
+      <button onClick={(e) => { e.stopPropagation(); retryPage(num); }} className="mt-2 flex items-center gap-1.5 px-4 py-2 rounded-2xl text-[10px] font-black uppercase tracking-widest border border-black/10 hover:bg-black/5"><RotateCcw size={12}/> Retry</button>
+    </div>
+  );
+
+  // A failed page keeps its error until retried, so the canvas never sits
+  // blank or shows the previous page in its place.
+  const renderPage = async (num, ref, layerRef) => {
+    const manager = renderManagerRef.current;
+    if (!pdfDoc || !manager || !ref.current) return;
+    let drawn;
+    try { drawn = await manager.draw(ref.current, num, scale); }
+    catch (err) { setPageErrors(e => ({ ...e, [num]: err?.message || 'Unknown error' })); return; }
+    if (drawn) setPageErrors(e => { if (!(num in e)) return e; const { [num]: _, ...rest } = e; return rest; });
+    if (drawn && layerRef?.current) {
+      const page = await pdfDoc.getPage(num);
+      await renderTextLayer(num, layerRef.current, page.getViewport({ scale }));
+    }
+  };
+
+  // The text layer is a transparent pdf.js span layer over the canvas; its
+  // divs line up 1:1 with the string items that buildPageText indexes.
+  const renderTextLayer = async (num, container, viewport) => {
+    // Comic pages can be shown without pdf.js, and have no text anyway.
+    if (!pdfjsLibRef.current) return;
+    const { textContent } = await getPageText(num);
+    textLayerTasksRef.current.get(container)?.cancel();
+    const textDivs = [];
+    container.replaceChildren();
+    container.dataset.page = num;
+    container.style.setProperty('--scale-factor', viewport.scale);
+    const task = pdfjsLibRef.current.renderTextLayer({ textContentSource: textContent, container, viewport, textDivs });
+    textLayerTasksRef.current.set(container, task);
+    try { await task.promise; } catch (e) { return; }
+    textDivsRef.current[num] = textDivs;
+  };
+
+  // --- Layout Modes ---
+  const layoutMode = reflowSetting ? 'reflow' : isContinuous ? 'scroll' : isTwoPage ? 'spread' : 'single';
+  const setLayoutMode = (mode) => { setIsContinuous(mode === 'scroll'); setIsTwoPage(mode === 'spread'); setIsReflow(mode === 'reflow'); };
+
+  // --- Reflow Mode ---
+  // Each PDF page is reflowed on its own and paginated into screens with CSS
+  // columns; running headers are detected across the pages around it.
+  useEffect(() => {
+    if (!pdfDoc || !isReflow) return;
+    let cancelled = false;
+    (async () => {
+      if (pdfDoc.getReflowBlocks) {
+        const blocks = await pdfDoc.getReflowBlocks(currentPage);
+        const { pageText } = await getPageText(currentPage);
+        if (!cancelled) setReflowContent({ page: currentPage, blocks, align: alignReflowBlocks(pageText.text, blocks) });
+        return;
+      }
+      const sample = [];
+      for (let n = Math.max(1, currentPage - 4); n <= Math.min(numPages, currentPage + 4); n++) {
+        // Neighbours only help spot running headers; one that fails is left out.
+        const text = await getPageText(n).catch(err => { if (n === currentPage) throw err; return null; });
+        if (text) sample.push({ num: n, lines: reflowLines(text.textContent, text.viewport), width: text.viewport.width, height: text.viewport.height, text: text.pageText.text });
+      }
+      if (cancelled) return;
+      const page = sample.find(p => p.num === currentPage);
+      const blocks = buildReflowBlocks(page.lines, page, repeatedMarginKeys(sample));
+      setReflowContent({ page: currentPage, blocks, align: alignReflowBlocks(page.text, blocks) });
+    })().catch(err => { if (!cancelled) setReflowContent({ page: currentPage, blocks: [], error: err?.message || 'Unknown error' }); });
+    return () => { cancelled = true; };
+  }, [pdfDoc, isReflow, currentPage, renderRetry]);
+
+  useEffect(() => {
+    const el = reflowRef.current;
+    if (!isReflow || !el) return;
+    const observer = new ResizeObserver(() => setReflowWidth(el.clientWidth));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [isReflow, !!pdfDoc]);
+
+  // A new page opens on its first screen, or its last when reached by
+  // paging backwards; a relayout keeps the current screen where possible.
+  useLayoutEffect(() => {
+    const el = reflowRef.current;
+    if (!isReflow || !el || !reflowContent) return;
+    const count = Math.max(1, Math.round((el.scrollWidth + REFLOW_GAP) / (el.clientWidth + REFLOW_GAP)));
+    const fresh = reflowShownRef.current !== reflowContent;
+    reflowShownRef.current = reflowContent;
+    setReflowScreens(count);
+    setReflowScreen(s => fresh ? (reflowEntryRef.current === 'end' ? count - 1 : 0) : Math.min(s, count - 1));
+    if (fresh) reflowEntryRef.current = 'start';
+  }, [isReflow, reflowContent, reflowWidth, reflowFontSize, lineSpacing, fontFamily, margins]);
+
+  useLayoutEffect(() => {
+    const el = reflowRef.current;
+    if (el) el.scrollLeft = reflowScreen * (el.clientWidth + REFLOW_GAP);
+  }, [reflowScreen, reflowScreens, reflowWidth]);
+
+  const stepReflowFont = (delta) => setReflowFontSize(s => Math.min(32, Math.max(12, s + delta)));
+
+  // --- Preferences ---
+  const globalPrefsRef = useRef(DEFAULT_PREFS);
+  const prefsLoadedRef = useRef(false);
+  const [bookPrefsOn, setBookPrefsOn] = useState(false);
+
+  const currentPrefs = useMemo(() => ({
+    theme, scale, zoomMode, layout: layoutMode, margins, lineSpacing, fontFamily, reflowFontSize, blueLightFilter,
+    speechRate, speechPitch, voice: selectedVoice?.voiceURI || preferredVoiceRef.current, sidebarTab
+  }), [theme, scale, zoomMode, layoutMode, margins, lineSpacing, fontFamily, reflowFontSize, blueLightFilter, speechRate, speechPitch, selectedVoice, sidebarTab]);
+
+  const applyPrefs = (p) => {
+    setTheme(p.theme); setZoomMode(p.zoomMode); setScale(clampScale(p.scale)); setLayoutMode(p.layout);
+    setMargins(p.margins); setLineSpacing(p.lineSpacing); setFontFamily(p.fontFamily); setReflowFontSize(p.reflowFontSize);
+    setBlueLightFilter(p.blueLightFilter); setSpeechRate(p.speechRate); setSpeechPitch(p.speechPitch); setSidebarTab(p.sidebarTab);
+    preferredVoiceRef.current = p.voice;
+    // Asks the engine directly: the voices state may still be empty in the
+    // render this was created in, even though a default was already picked.
+    const voice = synth.getVoices().find(v => v.voiceURI === p.voice);
+    if (voice) setSelectedVoice(voice);
+  };
+
+  useEffect(() => {
+    getState('prefs', {}).then(saved => {
+      globalPrefsRef.current = { ...DEFAULT_PREFS, ...saved };
+      applyPrefs(globalPrefsRef.current);
+      prefsLoadedRef.current = true;
+    });
+  }, []);
+
+  // Changes are written to wherever they were made: the open book when it
+  // has its own settings (the global-only keys still go global), otherwise
+  // the global preferences.
+  useEffect(() => {
+    if (!prefsLoadedRef.current) return;
+    const bookId = bookPrefsOn ? pdfFile : null;
+    const prefs = currentPrefs;
+    const timer = setTimeout(() => {
+      const global = bookId ? { ...globalPrefsRef.current, ...pickPrefs(prefs, Object.keys(DEFAULT_PREFS).filter(k => !BOOK_PREF_KEYS.includes(k))) } : prefs;
+      globalPrefsRef.current = global;
+      setState('prefs', global);
+      if (bookId) saveBookPrefs(bookId, pickPrefs(prefs, BOOK_PREF_KEYS));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [currentPrefs]);
+
+  useEffect(() => {
+    if (!prefsLoadedRef.current) return;
+    const own = pdfFile ? library.find(b => b.id === pdfFile)?.prefs : null;
+    setBookPrefsOn(!!own);
+    applyPrefs({ ...globalPrefsRef.current, ...own });
+  }, [pdfFile]);
+
+  const saveBookPrefs = (id, prefs) => {
+    updateMeta(id, { prefs });
+    setLibrary(lib => lib.map(b => b.id === id ? { ...b, prefs } : b));
+  };
+
+  const toggleBookPrefs = () => {
+    if (!pdfFile) return;
+    if (bookPrefsOn) { saveBookPrefs(pdfFile, undefined); applyPrefs(globalPrefsRef.current); }
+    else saveBookPrefs(pdfFile, pickPrefs(currentPrefs, BOOK_PREF_KEYS));
+    setBookPrefsOn(!bookPrefsOn);
+  };
+
+  // Only the global preferences are reset; a book with its own settings
+  // keeps showing them.
+  const resetPrefs = () => {
+    if (!confirm('Reset reader settings to their defaults?')) return;
+    globalPrefsRef.current = DEFAULT_PREFS;
+    setState('prefs', DEFAULT_PREFS);
+    applyPrefs(bookPrefsOn ? { ...DEFAULT_PREFS, ...pickPrefs(currentPrefs, BOOK_PREF_KEYS) } : DEFAULT_PREFS);
+  };
+
+  useEffect(() => { setPageSizes([]); }, [pdfDoc]);
+
+  useEffect(() => {
+    if (!pdfDoc || !isContinuous || pageSizes.length) return;
+    let cancelled = false;
+    (async () => {
+      const sizes = [];
+      for (let num = 1; num <= pdfDoc.numPages; num++) {
+        const vp = (await pdfDoc.getPage(num)).getViewport({ scale: 1 });
+        sizes.push({ w: vp.width, h: vp.height });
+      }
+      if (!cancelled) setPageSizes(sizes);
+    })();
+    return () => { cancelled = true; };
+  }, [pdfDoc, isContinuous, pageSizes]);
+
+  const scrollLayout = useMemo(() => {
+    let y = PAGE_GAP;
+    const slots = pageSizes.map(({ w, h }) => {
+      const slot = { top: y, width: w * scale, height: h * scale };
+      y += slot.height + PAGE_GAP;
+      return slot;
+    });
+    return { slots, height: y, width: slots.reduce((m, s) => Math.max(m, s.width), 0) };
+  }, [pageSizes, scale]);
+
+  // Pages within a screen above and two below the viewport keep a canvas.
+  const scrollWindow = useMemo(() => {
+    const { top, height } = scrollView;
+    return scrollLayout.slots.reduce((near, s, i) => (s.top + s.height > top - height && s.top < top + height * 2 ? [...near, i + 1] : near), []);
+  }, [scrollLayout, scrollView]);
+
+  const onMainScroll = () => {
+    if (!isContinuous || scrollFrameRef.current) return;
+    scrollFrameRef.current = requestAnimationFrame(() => {
+      scrollFrameRef.current = null;
+      const el = mainRef.current;
+      if (!el) return;
+      const top = el.scrollTop, height = el.clientHeight;
+      setScrollView({ top, height });
+      let best = 0, bestVisible = 0;
+      scrollLayout.slots.forEach((s, i) => {
+        const visible = Math.min(s.top + s.height, top + height) - Math.max(s.top, top);
+        if (visible > bestVisible) { bestVisible = visible; best = i + 1; }
+      });
+      if (best) { scrollPageRef.current = best; setCurrentPage(best); }
+    });
+  };
+
+  // Any page change that didn't come from scrolling (jump form, search hit,
+  // slider, zoom) moves the scroll position to that page.
+  useEffect(() => {
+    if (zoomAnchorRef.current?.applied) { zoomAnchorRef.current = null; return; }
+    scrollPageRef.current = null;
+  }, [isContinuous, scrollLayout]);
+
+  useEffect(() => {
+    const el = mainRef.current;
+    if (!isContinuous || !el || !scrollLayout.slots.length || scrollPageRef.current === currentPage) return;
+    scrollPageRef.current = currentPage;
+    el.scrollTo({ top: scrollLayout.slots[currentPage - 1].top - PAGE_GAP / 2, behavior: 'instant' });
+    setScrollView({ top: el.scrollTop, height: el.clientHeight });
+  }, [isContinuous, currentPage, scrollLayout]);
+
+  // --- Zoom ---
+  // Fit modes derive the scale from the current page's viewport and the free
+  // space in <main>, and follow it as the window or layout changes.
+  useEffect(() => {
+    const el = mainRef.current;
+    if (!pdfDoc || zoomMode === 'custom' || !el) return;
+    let cancelled = false;
+    const fit = async () => {
+      const vp = (await pdfDoc.getPage(currentPage)).getViewport({ scale: 1 });
+      if (cancelled) return;
+      const spread = isTwoPage && !isContinuous ? 2 : 1;
+      const byWidth = (el.clientWidth - margins * 2 - 16) / (vp.width * spread + (spread - 1) * 4);
+      const byHeight = (el.clientHeight - (isContinuous ? PAGE_GAP * 2 : 96)) / vp.height;
+      const next = zoomMode === 'fit-width' ? byWidth : zoomMode === 'fit-page' ? Math.min(byWidth, byHeight) : ACTUAL_SIZE_SCALE;
+      setScale(clampScale(next));
+    };
+    const observer = new ResizeObserver(() => fit());
+    observer.observe(el);
+    return () => { cancelled = true; observer.disconnect(); };
+  }, [pdfDoc, zoomMode, currentPage, isTwoPage, isContinuous, margins]);
+
+  const stepZoom = (delta) => {
+    if (isReflow) { stepReflowFont(Math.sign(delta)); return; }
+    setZoomMode('custom'); setScale(s => clampScale(s + delta));
+  };
+
+  // Zooms so the content point under (clientX, clientY) stays put; the scroll
+  // correction is applied once the new scale has laid out.
+  const zoomAt = (clientX, clientY, target) => {
+    const el = mainRef.current;
+    const next = clampScale(target);
+    if (!el || next === scale) return;
+    const rect = el.getBoundingClientRect();
+    const rtl = getComputedStyle(el).direction === 'rtl';
+    const ox = clientX - rect.left, oy = clientY - rect.top;
+    const left = rtl ? el.scrollLeft + el.scrollWidth - el.clientWidth : el.scrollLeft;
+    zoomAnchorRef.current = { ox, oy, x: left + ox, y: el.scrollTop + oy, factor: next / scale, rtl };
+    setZoomMode('custom');
+    setScale(next);
+  };
+
+  useLayoutEffect(() => {
+    const el = mainRef.current, anchor = zoomAnchorRef.current;
+    if (!el || !anchor || anchor.applied) return;
+    anchor.applied = true;
+    if (isContinuous) scrollPageRef.current = currentPage;
+    const left = anchor.x * anchor.factor - anchor.ox;
+    el.scrollLeft = anchor.rtl ? left - (el.scrollWidth - el.clientWidth) : left;
+    el.scrollTop = anchor.y * anchor.factor - anchor.oy;
+  }, [scale]);
+
+  useEffect(() => {
+    const el = mainRef.current;
+    if (!pdfDoc || !el) return;
+    const onWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      zoomAt(e.clientX, e.clientY, scale * Math.exp(-e.deltaY * 0.01));
+    };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, [pdfDoc, scale, isContinuous, currentPage]);
+
+  const extractOutline = async (doc) => {
+    try { setOutline(await readOutline(doc)); }
+    catch (e) { setOutline([]); }
+  };
+
+  const chapters = useMemo(() => mergeChapters(outline, userChapters), [outline, userChapters]);
+
+  const saveUserChapters = (update) => {
+    const next = update(userChapters);
+    setUserChapters(next);
+    if (pdfFile) updateMeta(pdfFile, { userChapters: next });
+  };
+
+  const addChapterMarker = () => {
+    const title = prompt("Add Chapter Marker:");
+    if (title) saveUserChapters(u => ({ ...u, added: [...u.added, { id: `u:${Date.now()}`, title, page: currentPage }] }));
+  };
+
+  const renameChapter = (c) => {
+    const title = prompt("Rename Chapter:", c.title);
+    if (!title) return;
+    saveUserChapters(u => c.user
+      ? { ...u, added: u.added.map(m => m.id === c.id ? { ...m, title } : m) }
+      : { ...u, renamed: { ...u.renamed, [c.id]: title } });
+  };
+
+  const removeChapterMarker = (c) => saveUserChapters(u => ({ ...u, added: u.added.filter(m => m.id !== c.id) }));
+
+  // Hidden when any ancestor is collapsed; ancestors are the nearest
+  // preceding entries at each shallower depth.
+  const visibleChapters = useMemo(() => {
+    const res = [];
+    let hiddenBelow = Infinity;
+    chapters.forEach(c => {
+      if (c.depth > hiddenBelow) return;
+      hiddenBelow = Infinity;
+      res.push(c);
+      if (c.hasChildren && !expandedOutline.has(c.id)) hiddenBelow = c.depth;
+    });
+    return res;
+  }, [chapters, expandedOutline]);
+
+  const toggleOutlineNode = (id) => setExpandedOutline(cur => {
+    const next = new Set(cur);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+
+  const generateCoverImage = async (doc) => {
+    try {
+      if (doc.getCoverImage) return await doc.getCoverImage();
+      const page = await doc.getPage(1);
+      const viewport = page.getViewport({ scale: 0.4 }); 
+      const canvas = document.createElement('canvas');
+      const ctx = canvas.getContext('2d');
+      canvas.height = viewport.height; canvas.width = viewport.width;
+      await page.render({ canvasContext: ctx, viewport }).promise;
+      return canvas.toDataURL('image/jpeg', 0.8); 
+    } catch (e) { return null; }
+  };
+
+  const activeChapter = useMemo(() => {
+    if (!chapters.length) return null;
+    return chapterAt(chapters, currentPage);
+  }, [chapters, currentPage]);
+
+  // Expand the path down to the current section as reading moves on.
+  useEffect(() => {
+    if (!activeChapter) return;
+    const idx = chapters.indexOf(activeChapter);
+    const path = [];
+    let depth = activeChapter.depth;
+    for (let i = idx - 1; i >= 0 && depth > 0; i--) {
+      if (chapters[i].depth < depth) { path.push(chapters[i].id); depth = chapters[i].depth; }
+    }
+    if (path.some(id => !expandedOutline.has(id))) setExpandedOutline(cur => new Set([...cur, ...path]));
+  }, [activeChapter]);
+
+  // --- In-Document Search ---
+  // Text content is cached per page at scale 1 so repeated searches and
+  // highlight placement don't re-parse the page.
+  const getPageText = async (num) => {
+    const cache = textCacheRef.current;
+    if (!cache.has(num)) {
+      cache.set(num, pdfDoc.getPage(num).then(async (page) => ({
+        viewport: page.getViewport({ scale: 1 }),
+        ...await page.getTextContent().then(textContent => ({ textContent, pageText: buildPageText(textContent) }))
+      })));
+    }
+    return cache.get(num);
+  };
+
+  useEffect(() => {
+    textCacheRef.current = new Map();
+    textDivsRef.current = {};
+    searchRunRef.current++;
+    setSearchQuery(''); setSearchedFor(''); setSearchResults([]); setActiveHit(-1); setIsSearching(false);
+  }, [pdfDoc]);
+
+  const runSearch = async (query) => {
+    const runId = ++searchRunRef.current;
+    const needle = query.trim().toLowerCase();
+    setSearchResults([]); setActiveHit(-1); setSearchedFor(needle);
+    if (!pdfDoc || !needle) { setIsSearching(false); return; }
+    setIsSearching(true); setSearchProgress(0);
+    const hits = [];
+    for (let num = 1; num <= numPages; num++) {
+      try {
+        const { pageText } = await getPageText(num);
+        const haystack = pageText.text.toLowerCase();
+        let at = haystack.indexOf(needle);
+        while (at !== -1) {
+          hits.push({ id: `${num}:${at}`, page: num, start: at, end: at + needle.length, ...makeSnippet(pageText.text, at, needle.length) });
+          at = haystack.indexOf(needle, at + needle.length);
+        }
+      } catch (e) {}
+      if (runId !== searchRunRef.current) return;
+      if (num % 10 === 0 || num === numPages) { setSearchProgress(num); setSearchResults([...hits]); }
+    }
+    setIsSearching(false);
+    if (hits.length) goToHit(0, hits);
+  };
+
+  const goToHit = (index, hits = searchResults) => {
+    if (!hits.length) return;
+    const next = (index + hits.length) % hits.length;
+    setActiveHit(next);
+    setCurrentPage(hits[next].page);
+  };
+
+  useEffect(() => {
+    if (!pdfDoc || !searchResults.length) { setSearchMarks({}); return; }
+    let cancelled = false;
+    const pages = isContinuous ? scrollWindow : isTwoPage && currentPage < numPages ? [currentPage, currentPage + 1] : [currentPage];
+    (async () => {
+      const marks = {};
+      for (const num of pages) {
+        const hits = searchResults.filter(h => h.page === num);
+        if (!hits.length) continue;
+        const { pageText, viewport } = await getPageText(num);
+        marks[num] = hits.flatMap(h => rangeToRects(pageText, viewport, h.start, h.end).map(r => ({ ...r, active: h === searchResults[activeHit] })));
+      }
+      if (!cancelled) setSearchMarks(marks);
+    })();
+    return () => { cancelled = true; };
+  }, [pdfDoc, currentPage, isTwoPage, isContinuous, scrollWindow, numPages, searchResults, activeHit]);
+
+  // Maps the live DOM selection back onto page text offsets so a highlight
+  // can be stored as text ranges plus scale-independent rectangles.
+  const captureSelection = async () => {
+    const sel = window.getSelection();
+    if (!sel || sel.isCollapsed || !sel.rangeCount) { setSelectionPopover(null); return; }
+    const range = sel.getRangeAt(0);
+    const node = range.commonAncestorContainer;
+    if (reflowRef.current?.contains(node)) { captureReflowSelection(range); return; }
+    const layer = (node.nodeType === 1 ? node : node.parentElement)?.closest('.textLayer');
+    if (!layer) { setSelectionPopover(null); return; }
+    const num = parseInt(layer.dataset.page);
+    const { pageText, viewport } = await getPageText(num);
+    const offsetIn = (div, container, offset, len) => {
+      if (!div.contains(container)) return null;
+      if (container.nodeType === 3) return offset;
+      return offset === 0 ? 0 : len;
+    };
+    let start = null, end = null;
+    (textDivsRef.current[num] || []).forEach((div, k) => {
+      const span = pageText.spans[k];
+      if (!span || !range.intersectsNode(div)) return;
+      const len = span.end - span.start;
+      const from = offsetIn(div, range.startContainer, range.startOffset, len) ?? 0;
+      const to = offsetIn(div, range.endContainer, range.endOffset, len) ?? len;
+      if (to <= from) return;
+      if (start === null) start = span.start + from;
+      end = span.start + to;
+    });
+    if (start === null || end <= start) { setSelectionPopover(null); return; }
+    const box = range.getBoundingClientRect();
+    setSelectionPopover({
+      page: num, start, end,
+      content: pageText.text.slice(start, end).trim(),
+      rects: rangeToRects(pageText, viewport, start, end),
+      x: box.left + box.width / 2, y: box.top
+    });
+  };
+
+  // Reflowed text has no text layer; the selection is mapped through the
+  // block alignment instead. reflowShownRef holds the content on screen.
+  const captureReflowSelection = async (range) => {
+    const content = reflowShownRef.current;
+    const from = reflowPosition(range.startContainer, range.startOffset);
+    const to = reflowPosition(range.endContainer, range.endOffset);
+    const startAlign = from && content?.align?.[from.block];
+    const endAlign = to && content?.align?.[to.block];
+    if (!startAlign || !endAlign) { setSelectionPopover(null); return; }
+    const first = startAlign.blockAt.findIndex(i => i >= from.offset);
+    let last = endAlign.blockAt.length - 1;
+    while (last >= 0 && endAlign.blockAt[last] >= to.offset) last--;
+    if (first === -1 || last === -1) { setSelectionPopover(null); return; }
+    // Reordered columns can put the end block before the start block.
+    const a = startAlign.pageAt[first], b = endAlign.pageAt[last];
+    const start = Math.min(a, b), end = Math.max(a, b) + 1;
+    const { pageText, viewport } = await getPageText(content.page);
+    const box = range.getBoundingClientRect();
+    setSelectionPopover({
+      page: content.page, start, end,
+      content: pageText.text.slice(start, end).trim(),
+      rects: rangeToRects(pageText, viewport, start, end),
+      x: box.left + box.width / 2, y: box.top
+    });
+  };
+
+  useEffect(() => {
+    let timer;
+    const onChange = () => { clearTimeout(timer); timer = setTimeout(captureSelection, 250); };
+    document.addEventListener('selectionchange', onChange);
+    return () => { clearTimeout(timer); document.removeEventListener('selectionchange', onChange); };
+  }, [pdfDoc]);
+
+  const addHighlight = (c) => {
+    if (!selectionPopover) return;
+    const { page, start, end, content, rects } = selectionPopover;
+    addNote({ id: Date.now(), page, file: pdfFile, content, color: c.value, colorName: c.name, ranges: [{ start, end }], rects, created: Date.now() });
+    window.getSelection().removeAllRanges();
+    setSelectionPopover(null);
+  };
+
+  const reflowHighlights = useMemo(() => !reflowContent ? [] : notes
+    .filter(n => n.file === pdfFile && n.page === reflowContent.page && n.ranges)
+    .flatMap(n => n.ranges.map(r => ({ ...r, color: n.color }))), [notes, pdfFile, reflowContent]);
+
+  const renderMarks = (num) => (
+    <div className="absolute inset-0 pointer-events-none">
+      {notes.filter(n => n.file === pdfFile && n.page === num && n.rects).flatMap(n => n.rects.map((r, i) => (
+        <div key={`${n.id}-${i}`} className={`absolute ${theme === 'dark' ? 'opacity-40' : 'mix-blend-multiply'}`} style={{ left: r.x * scale, top: r.y * scale, width: r.w * scale, height: r.h * scale, backgroundColor: n.color }} />
+      )))}
+      {ttsMarks?.page === num && ttsMarks.rects.map((r, i) => (
+        <div key={`tts-${i}`} className="absolute bg-blue-500/15 border-b-2 border-blue-500 transition-all" style={{ left: r.x * scale, top: r.y * scale, width: r.w * scale, height: r.h * scale }} />
+      ))}
+      {(searchMarks[num] || []).map((m, i) => (
+        <div key={i} className={`absolute rounded-sm transition-colors ${theme === 'dark' ? 'opacity-50' : 'mix-blend-multiply'} ${m.active ? 'bg-orange-400 ring-2 ring-orange-500' : 'bg-yellow-300'}`} style={{ left: m.x * scale, top: m.y * scale, width: m.w * scale, height: m.h * scale }} />
+      ))}
+    </div>
+  );
+
+  // --- Links, History & Page Labels ---
+  useEffect(() => {
+    setPageLinks({}); setNavHistory({ back: [], forward: [] }); setPageLabels(null);
+    linksLoadingRef.current = new Set();
+    if (!pdfDoc) return;
+    let cancelled = false;
+    pdfDoc.getPageLabels().then(labels => { if (!cancelled) setPageLabels(labels); }).catch(() => {});
+    return () => { cancelled = true; };
+  }, [pdfDoc]);
+
+  useEffect(() => {
+    if (!pdfDoc) return;
+    const loading = linksLoadingRef.current;
+    const pages = isContinuous ? scrollWindow : [currentPage, ...(isTwoPage ? [currentPage + 1] : [])];
+    pages.filter(n => n <= numPages && !loading.has(n)).forEach(n => {
+      loading.add(n);
+      extractPageLinks(pdfDoc, n)
+        .then(links => { if (linksLoadingRef.current === loading) setPageLinks(l => ({ ...l, [n]: links })); })
+        .catch(() => {});
+    });
+  }, [pdfDoc, currentPage, isTwoPage, isContinuous, scrollWindow]);
+
+  const pageLabel = (n) => pageLabels?.[n - 1] || String(n);
+
+  // Accepts a printed label ("xii", "A-3") before falling back to the
+  // physical page number.
+  const parsePageInput = (input) => {
+    const v = String(input).trim();
+    const byLabel = pageLabels ? pageLabels.findIndex(l => l.toLowerCase() === v.toLowerCase()) : -1;
+    if (byLabel >= 0) return byLabel + 1;
+    const n = parseInt(v, 10);
+    return n >= 1 && n <= numPages ? n : null;
+  };
+
+  // Deliberate jumps (links, outline, jump form) are recorded so the reader
+  // can return; plain page turns are not.
+  const jumpTo = (page) => {
+    if (!page || page === currentPage) return;
+    setNavHistory(h => ({ back: [...h.back, currentPage].slice(-50), forward: [] }));
+    setCurrentPage(page);
+  };
+
+  const goBack = () => {
+    if (!navHistory.back.length) return;
+    setNavHistory(h => ({ back: h.back.slice(0, -1), forward: [currentPage, ...h.forward] }));
+    setCurrentPage(navHistory.back[navHistory.back.length - 1]);
+  };
+
+  const goForward = () => {
+    if (!navHistory.forward.length) return;
+    setNavHistory(h => ({ back: [...h.back, currentPage], forward: h.forward.slice(1) }));
+    setCurrentPage(navHistory.forward[0]);
+  };
+
+  const followLink = (link) => {
+    if (link.page) return jumpTo(link.page);
+    const targets = { NextPage: currentPage + 1, PrevPage: currentPage - 1, FirstPage: 1, LastPage: numPages };
+    jumpTo(Math.min(numPages, Math.max(1, targets[link.action])));
+  };
+
+  // Stacked above the text layer, as pdf.js does its annotation layer; only
+  // the link rectangles take pointer events, so selection works around them.
+  const renderLinks = (num) => (
+    <div className="absolute inset-0 z-[3] pointer-events-none">
+      {(pageLinks[num] || []).map((l, i) => {
+        const style = { left: l.x * scale, top: l.y * scale, width: l.w * scale, height: l.h * scale };
+        const className = 'absolute pointer-events-auto rounded-sm hover:bg-blue-500/10 hover:ring-1 hover:ring-blue-500/30 transition-colors';
+        return l.url
+          ? <a key={i} href={l.url} target="_blank" rel="noopener noreferrer" title={l.url} className={className} style={style} />
+          : <button key={i} onClick={() => followLink(l)} title={l.page ? `Go to page ${pageLabel(l.page)}` : l.action} className={className} style={style} />;
+      })}
+    </div>
+  );
+
+  // --- Interaction Logic ---
+  const turnPage = (dir) => {
+    if (isReflow) {
+      const next = reflowScreen + dir;
+      if (next >= 0 && next < reflowScreens) { setReflowScreen(next); return; }
+      if (currentPage + dir < 1 || currentPage + dir > numPages) return;
+      reflowEntryRef.current = dir < 0 ? 'end' : 'start';
+      setCurrentPage(currentPage + dir);
+      return;
+    }
+    const step = isTwoPage && !isContinuous ? 2 : 1;
+    setCurrentPage(p => Math.min(numPages, Math.max(1, p + dir * step)));
+  };
+
+  // A second finger turns any gesture in progress into a pinch zoom.
+  const pinchDistance = (touches) => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+  const handleDragStart = (e) => {
+    if (e.touches?.length === 2 && pdfDoc) {
+      pinchRef.current = { distance: pinchDistance(e.touches), scale };
+      setIsDragging(false); setDragOffset(0); setDragDirection(null);
+      return;
+    }
+    if (!pdfDoc || sidebarOpen || showSettings || isContinuous) return;
+    if (e.target.closest?.('.textLayer') || (e.touches && e.touches.length > 1)) return;
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    const width = window.innerWidth;
+    if (clientX > width * 0.88) { setDragDirection('next'); setDragStartX(clientX); setIsDragging(true); } 
+    else if (clientX < width * 0.12) { setDragDirection('prev'); setDragStartX(clientX); setIsDragging(true); }
+  };
+
+  const handleDragMove = (e) => {
+    if (pinchRef.current && e.touches?.length === 2) {
+      const [a, b] = e.touches;
+      const target = pinchRef.current.scale * (pinchDistance(e.touches) / pinchRef.current.distance);
+      zoomAt((a.clientX + b.clientX) / 2, (a.clientY + b.clientY) / 2, Math.round(target * 20) / 20);
+      return;
+    }
+    if (!isDragging) return;
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    const delta = clientX - dragStartX;
+    setDragOffset(dragDirection === 'next' ? Math.min(0, delta) : Math.max(0, delta));
+  };
+
+  const handleDragEnd = (e) => {
+    if (pinchRef.current) { if (!e?.touches || e.touches.length < 2) pinchRef.current = null; return; }
+    if (!isDragging) return;
+    const threshold = window.innerWidth * 0.25;
+    if (dragDirection === 'next' && dragOffset < -threshold) turnPage(1);
+    else if (dragDirection === 'prev' && dragOffset > threshold) turnPage(-1);
+    setIsDragging(false); setDragOffset(0); setDragDirection(null);
+  };
+
+  // --- Read Aloud ---
+  // Utterances chain through onend callbacks created long before they fire,
+  // so they read the latest voice settings from a ref. Every start or stop
+  // bumps the run id, which silences callbacks from the previous run.
+  ttsSettingsRef.current = { voice: selectedVoice, rate: speechRate, pitch: speechPitch, numPages, pdfFile, isTwoPage: isTwoPage && !isContinuous };
+
+  const speakSentence = async (page, index, runId) => {
+    const { numPages: total, pdfFile: file } = ttsSettingsRef.current;
+    if (page < 1 || page > total) { stopTTS(); return; }
+    let sentences = [];
+    try { sentences = splitSentences((await getPageText(page)).pageText.text); } catch (e) {}
+    if (runId !== ttsRunRef.current) return;
+    if (index === Infinity) index = Math.max(0, sentences.length - 1);
+    if (index >= sentences.length) { speakSentence(page + 1, 0, runId); return; }
+    const sentence = sentences[index];
+    setTtsCursor({ page, index, start: sentence.start, end: sentence.end });
+    setCurrentPage(p => (p === page || (ttsSettingsRef.current.isTwoPage && p + 1 === page) ? p : page));
+    ttsResumeRef.current = { page, index };
+    updateMeta(file, { ttsPosition: { page, index } });
+    const { voice, rate, pitch } = ttsSettingsRef.current;
+    const utterance = new SpeechSynthesisUtterance(sentence.text);
+    if (voice) utterance.voice = voice;
+    utterance.rate = rate; utterance.pitch = pitch;
+    utterance.onend = () => { if (runId === ttsRunRef.current) speakSentence(page, index + 1, runId); };
+    utterance.onerror = (e) => { if (runId === ttsRunRef.current && e.error !== 'interrupted' && e.error !== 'canceled') stopTTS(); };
+    synth.speak(utterance);
+  };
+
+  const startTTS = (page, index) => {
+    const runId = ++ttsRunRef.current;
+    synth.cancel();
+    setIsSpeaking(true);
+    speakSentence(page, index, runId);
+  };
+
+  const stopTTS = () => {
+    ttsRunRef.current++;
+    synth.cancel();
+    setIsSpeaking(false); setTtsCursor(null); setSleepAt(null);
+  };
+
+  // Resumes from the saved sentence when its page is on screen, otherwise
+  // starts at the top of what the reader is looking at.
+  const toggleTTS = () => {
+    if (isSpeaking) { stopTTS(); return; }
+    if (!pdfDoc) return;
+    const resume = ttsResumeRef.current;
+    const shown = isTwoPage && !isContinuous ? [currentPage, currentPage + 1] : [currentPage];
+    if (resume && shown.includes(resume.page)) startTTS(resume.page, resume.index);
+    else startTTS(currentPage, 0);
+  };
+
+  const skipSentence = (dir) => {
+    if (!ttsCursor) return;
+    const { page, index } = ttsCursor;
+    if (dir > 0) startTTS(page, index + 1);
+    else if (index > 0) startTTS(page, index - 1);
+    else if (page > 1) startTTS(page - 1, Infinity);
+  };
+
+  useEffect(() => { stopTTS(); }, [pdfDoc]);
+
+  useEffect(() => {
+    if (!sleepAt) return;
+    const timer = setInterval(() => { if (Date.now() >= sleepAt) { stopTTS(); setSleepAt(null); setSleepMinutes(0); } }, 1000);
+    return () => clearInterval(timer);
+  }, [sleepAt]);
+
+  useEffect(() => {
+    if (!pdfDoc || !ttsCursor) { setTtsMarks(null); return; }
+    let cancelled = false;
+    getPageText(ttsCursor.page).then(({ pageText, viewport }) => {
+      if (!cancelled) setTtsMarks({ page: ttsCursor.page, rects: rangeToRects(pageText, viewport, ttsCursor.start, ttsCursor.end) });
+    });
+    return () => { cancelled = true; };
+  }, [pdfDoc, ttsCursor]);
+
+  // --- Library Logic ---
+  const onFile = (e) => {
+    importFiles([...e.target.files]);
+    e.target.value = '';
+  };
+
+  const onShelfDrop = async (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    const files = await droppedBookFiles(e.dataTransfer);
+    if (files.length) importFiles(files);
+    else alert('No PDF, EPUB or CBZ files found in what was dropped.');
+  };
+
+  const updateImport = (key, changes) => setImportQueue(q => q.map(j => j.key === key ? { ...j, ...changes } : j));
+
+  const resolveDuplicate = (key, choice) => duplicateChoiceRef.current.get(key)?.(choice);
+
+  const retryImport = (job) => {
+    setImportQueue(q => q.filter(j => j.key !== job.key));
+    importFiles([job.file]);
+  };
+
+  // Books from before content hashes were recorded are hashed once from
+  // their stored file.
+  const libraryHashes = async () => {
+    const known = new Map();
+    for (const book of await getAllRecords(METADATA_STORE)) {
+      let hash = book.hash;
+      if (hash === undefined) {
+        const data = await getFile(book.id);
+        hash = data ? await hashBytes(data) : null;
+        await updateMeta(book.id, { hash });
+      }
+      if (hash) known.set(hash, book);
+    }
+    return known;
+  };
+
+  // The document is opened before anything is stored, so a damaged file is
+  // reported without leaving a broken book on the shelf.
+  const importBook = async (job, file, known) => {
+    updateImport(job.key, { status: 'reading' });
+    const buf = await readFileBuffer(file, progress => updateImport(job.key, { progress }));
+    updateImport(job.key, { status: 'hashing', progress: 1 });
+    const hash = await hashBytes(buf);
+    const existing = hash && known.get(hash);
+    let choice = 'new';
+    if (existing) {
+      updateImport(job.key, { status: 'duplicate', duplicateOf: bookTitle(existing) });
+      choice = await new Promise(resolve => duplicateChoiceRef.current.set(job.key, resolve));
+      duplicateChoiceRef.current.delete(job.key);
+      if (choice === 'skip') { updateImport(job.key, { status: 'skipped' }); return null; }
+    }
+    updateImport(job.key, { status: 'saving' });
+    const format = detectBookFormat(buf, file.name);
+    const { doc, password, remember, asked } = await unlockBook({ name: file.name, format, password: existing?.password }, buf);
+    let meta;
+    try {
+      // A remembered password is only replaced by a fresh answer to the prompt.
+      const details = { name: file.name, format, hash, password: asked ? (remember ? password : undefined) : existing?.password, size: buf.byteLength, numPages: doc.numPages, cover: await generateCoverImage(doc), info: await readDocInfo(doc) };
+      const lastPage = Math.min(existing?.lastPage || 1, doc.numPages);
+      if (choice === 'replace') {
+        // Same id, so notes, bookmarks and the reading log stay attached;
+        // the text index and thumbnails are dropped so they follow the new file.
+        meta = { ...existing, ...details, lastPage };
+        await saveBookToDB(meta, buf);
+        await deleteRecord(TEXT_STORE, existing.id);
+        await clearThumbnails(existing.id);
+      } else {
+        const id = `${file.name}_${Date.now()}`;
+        const carried = existing ? { title: existing.title, author: existing.author, tags: existing.tags, collections: existing.collections, userChapters: existing.userChapters, prefs: existing.prefs, totalTime: existing.totalTime, lastPage, versionOf: existing.id } : {};
+        meta = { id, lastPage: 1, lastOpened: Date.now(), added: Date.now(), totalTime: 0, tags: [], collections: [], ...carried, ...details };
+        await saveBookToDB(meta, buf);
+        if (existing) await copyAnnotations(existing.id, id);
+      }
+    } finally { doc.destroy(); }
+    if (password) sessionPasswordsRef.current.set(meta.id, password);
+    if (hash) known.set(hash, meta);
+    updateImport(job.key, { status: 'done', note: choice === 'replace' ? 'Replaced' : existing ? 'New version' : null });
+    return meta;
+  };
+
+  // Imports run one file at a time, and a second drop queues behind the
+  // first. A single picked file opens straight away, as before.
+  const importFiles = (files) => {
+    if (!files.length) return;
+    const jobs = files.map((f, i) => ({ key: `${Date.now()}-${i}`, file: f, name: f.name, size: f.size, status: 'queued', progress: 0 }));
+    setImportQueue(q => [...q.filter(j => !IMPORT_FINISHED.includes(j.status)), ...jobs]);
+    importChainRef.current = importChainRef.current.then(async () => {
+      const known = await libraryHashes();
+      let imported = null;
+      for (const [i, file] of files.entries()) {
+        try { imported = await importBook(jobs[i], file, known); }
+        catch (err) { updateImport(jobs[i].key, { status: 'error', error: describeOpenError(err) }); }
+        loadLib();
+      }
+      if (files.length === 1 && imported) await openBook(imported);
+    }).catch((err) => {
+      // Anything failing outside a single file's import, such as hashing the
+      // existing library, fails the jobs that were still waiting on it.
+      const keys = new Set(jobs.map(j => j.key));
+      setImportQueue(q => q.map(j => keys.has(j.key) && !IMPORT_FINISHED.includes(j.status) ? { ...j, status: 'error', error: describeOpenError(err) } : j));
+    });
+  };
+
+  // Encrypted PDFs ask for their password unless one is remembered, and the
+  // reader can choose to keep what they typed for next time. Either way it's
+  // reused until the page is reloaded.
+  const askPassword = (book, retry, remember) => new Promise(resolve => setPasswordRequest({ title: bookTitle(book), retry, remember, value: '', resolve }));
+
+  const answerPassword = (answer) => { passwordRequest.resolve(answer); setPasswordRequest(null); };
+
+  const unlockBook = async (book, data) => {
+    const stored = book.id ? await getBookPassword(book.id) : book.password;
+    const known = stored ?? sessionPasswordsRef.current.get(book.id);
+    let answer = null;
+    const doc = await openBookDocument(pdfjsLibRef.current, data, book.format, {
+      password: known,
+      onPassword: async (retry) => { answer = await askPassword(book, retry, !!stored); return answer?.password ?? null; }
+    });
+    const password = answer ? answer.password : known;
+    const remember = answer ? answer.remember : !!stored;
+    if (answer && book.id) await updateMeta(book.id, { password: remember ? answer.password : undefined });
+    if (password && book.id) sessionPasswordsRef.current.set(book.id, password);
+    return { doc, password, remember, asked: !!answer };
+  };
+
+  const openBook = async (book, page) => {
+    setIsLoading(true); 
+    setOpenError(null);
+    try {
+      const data = await getFile(book.id); 
+      const { doc: pdf } = await unlockBook(book, data); 
+      await extractOutline(pdf);
+      setUserChapters({ ...EMPTY_USER_CHAPTERS, ...book.userChapters }); setExpandedOutline(new Set());
+      await loadAnnotations(book.id);
+      setPdfDoc(pdf); setNumPages(pdf.numPages); setPdfFile(book.id); 
+      if (book.numPages !== pdf.numPages || !book.info) updateMeta(book.id, { numPages: pdf.numPages, info: await readDocInfo(pdf) });
+      ttsResumeRef.current = book.ttsPosition || null;
+      setCurrentPage(page || book.lastPage || 1); setTotalTimeInBook(book.totalTime || 0); setSessionSeconds(0);
+      // Locked books are skipped by the background indexer until opened here.
+      getTextIndexIds().then(ids => { if (!ids.includes(book.id)) indexBook(pdf, book.id); });
+    } catch (e) {
+      setOpenError({ book, page, message: describeOpenError(e) });
+    } finally { setIsLoading(false); }
+  };
+
+  // --- Library Text Index ---
+  const indexBook = async (doc, id) => {
+    if (indexingRef.current.has(id)) return;
+    indexingRef.current.add(id);
+    // Comics have no text; walking their pages would only cost time.
+    try { await saveTextIndex(id, doc.format === 'cbz' ? [] : await extractBookText(doc)); }
+    catch (e) {
+      // An empty entry marks the book as done, so the backfill doesn't retry
+      // it on every library change; the reader is told why search misses it.
+      await saveTextIndex(id, []).catch(() => {});
+      const book = library.find(b => b.id === id);
+      setIndexError(`${book ? bookTitle(book) : 'A book'} couldn't be indexed for search: ${e?.message || 'unknown error'}`);
+    }
+    finally { indexingRef.current.delete(id); }
+  };
+
+  // Books imported before the index existed are caught up one at a time in
+  // the background, each with its own short-lived document. PDFs wait for
+  // pdf.js; EPUB and comic books don't need it.
+  useEffect(() => {
+    if (!library.length) return;
+    let cancelled = false;
+    (async () => {
+      const indexed = new Set(await getTextIndexIds());
+      for (const book of library) {
+        if (cancelled || indexed.has(book.id) || indexingRef.current.has(book.id) || lockedBooksRef.current.has(book.id)) continue;
+        if ((book.format || 'pdf') === 'pdf' && !pdfjsLibRef.current) continue;
+        setIndexingBook(bookTitle(book));
+        try {
+          const data = await getFile(book.id);
+          const doc = await openBookDocument(pdfjsLibRef.current, data, book.format, { password: await getBookPassword(book.id) ?? sessionPasswordsRef.current.get(book.id) });
+          await indexBook(doc, book.id);
+          doc.destroy();
+        } catch (e) {
+          // Locked books are left alone for the rest of the session; opening
+          // one with its password indexes it.
+          if (e?.name === 'PasswordException') lockedBooksRef.current.add(book.id);
+          else await saveTextIndex(book.id, []);
+        }
+      }
+      if (!cancelled) setIndexingBook(null);
+    })();
+    return () => { cancelled = true; };
+  }, [libReady, library]);
 
-  // --- Initialization Logic ---
   useEffect(() => {
-    const script = document.createElement('script');
-    script.src = PDFJS_URL;
-    script.async = true;
-    script.onload = () => {
-      pdfjsLibRef.current = window['pdfjs-dist/build/pdf'] || window.pdfjsLib;
-      pdfjsLibRef.current.GlobalWorkerOptions.workerSrc = WORKER_URL;
-      setLibReady(true);
-    };
-    document.head.appendChild(script);
-    loadLib();
+    const q = libSearch.trim();
+    if (q.length < 2) { setLibTextResults([]); return; }
+    const timer = setTimeout(() => searchTextIndex(q).then(setLibTextResults), 300);
+    return () => clearTimeout(timer);
+  }, [libSearch]);
 
-    const loadVoices = () => {
-      const voices = synth.getVoices();
-      if (!voices.length) return;
-      const preferred = voices.find(v => (v.name.includes('Natural') || v.name.includes('Male')) && v.lang.startsWith('en')) || voices[0];
-      setSelectedVoice(preferred);
-    };
-    loadVoices();
-    if (synth.onvoiceschanged !== undefined) synth.onvoiceschanged = loadVoices;
+  // --- Tags & Collections ---
+  useEffect(() => {
+    getState('shelfView', DEFAULT_SHELF_VIEW).then(v => setShelfView({ ...DEFAULT_SHELF_VIEW, ...v }));
+  }, []);
 
-    // Focus Mode Logic: Auto-hide UI after 5s of no movement
-    const activityTimer = setInterval(() => {
-      if (pdfDoc && Date.now() - lastActivity > 5000 && !sidebarOpen && !showSettings) setFocusMode(true);
-    }, 1000);
+  const updateShelfView = (changes) => setShelfView(v => {
+    const next = { ...v, ...changes };
+    setState('shelfView', next);
+    return next;
+  });
 
-    return () => { clearInterval(activityTimer); synth.cancel(); };
-  }, [lastActivity, sidebarOpen, pdfDoc, showSettings]);
+  const editBook = async (id, changes) => { await updateMeta(id, changes); loadLib(); };
 
-  // Session Tracking
-  useEffect(() => {
-    let timer;
-    if (pdfDoc && !isLoading) {
-      timer = setInterval(() => {
-        setSessionSeconds(prev => prev + 1);
-        setTotalTimeInBook(prev => prev + 1);
-      }, 1000);
-    }
-    return () => clearInterval(timer);
-  }, [pdfDoc, isLoading]);
+  const addTags = (book) => {
+    const v = prompt(`Add tags to "${bookTitle(book)}" (comma separated):`);
+    if (!v) return;
+    const added = v.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+    editBook(book.id, b => ({ tags: [...new Set([...(b.tags || []), ...added])] }));
+  };
 
-  const loadLib = async () => {
-    const db = await initDB();
-    const tx = db.transaction(METADATA_STORE, 'readonly');
-    const req = tx.objectStore(METADATA_STORE).getAll();
-    req.onsuccess = () => setLibrary(req.result.sort((a,b) => b.lastOpened - a.lastOpened));
-    setBookmarks(JSON.parse(localStorage.getItem('aldiko_bookmarks') || '[]'));
-    setNotes(JSON.parse(localStorage.getItem('aldiko_notes') || '[]'));
-    setReadingStreak(parseInt(localStorage.getItem('aldiko_streak') || '1'));
+  const removeTag = (book, tag) => editBook(book.id, b => ({ tags: (b.tags || []).filter(t => t !== tag) }));
+
+  const saveCollections = (next) => { setCollections(next); setState('collections', next); };
+
+  const createCollection = (bookId) => {
+    const name = prompt('New collection name:')?.trim();
+    if (!name) return;
+    const existing = collections.find(c => c.name.toLowerCase() === name.toLowerCase());
+    const col = existing || { id: Date.now().toString(36), name };
+    if (!existing) saveCollections([...collections, col]);
+    if (bookId) editBook(bookId, b => ({ collections: [...new Set([...(b.collections || []), col.id])] }));
   };
 
-  useEffect(() => { localStorage.setItem('aldiko_bookmarks', JSON.stringify(bookmarks)); }, [bookmarks]);
-  useEffect(() => { localStorage.setItem('aldiko_notes', JSON.stringify(notes)); }, [notes]);
+  const toggleCollection = (bookId, colId) => editBook(bookId, b => {
+    const cur = b.collections || [];
+    return { collections: cur.includes(colId) ? cur.filter(c => c !== colId) : [...cur, colId] };
+  });
 
-  // --- Core PDF Processing & Rendering ---
-  useEffect(() => {
-    if (pdfDoc && libReady) {
-      renderPage(currentPage, canvasRef);
-      if (isTwoPage && currentPage < numPages) {
-        renderPage(currentPage + 1, canvasTwoRef);
-      }
-      const meta = library.find(b => b.id === pdfFile);
-      if (meta) updateMeta({ ...meta, lastPage: currentPage, lastOpened: Date.now(), totalTime: totalTimeInBook });
-    }
-  }, [pdfDoc, currentPage, scale, theme, libReady, isTwoPage, margins, lineSpacing, fontFamily]);
+  // Books keep the stale id; it matches nothing once the collection is gone.
+  const deleteCollection = (col) => {
+    if (!confirm(`Delete the collection "${col.name}"? Its books stay in your library.`)) return;
+    saveCollections(collections.filter(c => c.id !== col.id));
+    if (shelfView.collection === col.id) updateShelfView({ collection: null });
+  };
 
-  const renderPage = async (num, ref) => {
-    if (!pdfDoc || !ref.current) return;
-    const page = await pdfDoc.getPage(num);
-    const vp = page.getViewport({ scale });
-    const canvas = ref.current;
-    const ctx = canvas.getContext('2d');
-    canvas.height = vp.height;
-    canvas.width = vp.width;
-    await page.render({ canvasContext: ctx, viewport: vp }).promise;
+  // --- Book Details ---
+  const currentBook = library.find(b => b.id === pdfFile);
+
+  // Opens a throwaway document so details can be refreshed from the library
+  // without switching to the book.
+  const withBookDoc = async (id, fn) => {
+    const data = await getFile(id);
+    const { doc } = await unlockBook(library.find(b => b.id === id), data);
+    try { return await fn(doc); } finally { doc.destroy(); }
   };
 
-  const extractOutline = async (doc) => {
-    try {
-      const outline = await doc.getOutline();
-      if (!outline) { setChapters([]); return; }
-      const walk = async (items) => {
-        let res = [];
-        for (const i of items) {
-          let p = null;
-          try {
-            if (i.dest) {
-              let d = i.dest;
-              if (typeof d === 'string') d = await doc.getDestination(d);
-              if (Array.isArray(d)) p = (await doc.getPageIndex(d[0])) + 1;
-            }
-          } catch (e) {}
-          res.push({ id: Math.random().toString(36).substr(2, 9), title: i.title, page: p });
-          if (i.items?.length) res = [...res, ...(await walk(i.items))];
-        }
-        return res;
-      };
-      const all = await walk(outline);
-      setChapters(all.filter(c => c.page !== null));
-    } catch (e) { setChapters([]); }
+  const refreshBookInfo = async (id) => {
+    const info = await withBookDoc(id, async (doc) => ({ numPages: doc.numPages, info: await readDocInfo(doc) })).catch(e => { alert(describeOpenError(e)); return null; });
+    if (!info) return;
+    await editBook(id, info);
+    // Cleared fields fall back to the details just read from the file.
+    setEditingBook(e => e && e.id === id ? { ...e, title: '', author: '' } : e);
   };
 
-  const generateCoverImage = async (doc) => {
-    try {
-      const page = await doc.getPage(1);
-      const viewport = page.getViewport({ scale: 0.4 }); 
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      canvas.height = viewport.height; canvas.width = viewport.width;
-      await page.render({ canvasContext: ctx, viewport }).promise;
-      return canvas.toDataURL('image/jpeg', 0.8); 
-    } catch (e) { return null; }
+  const resetBookCover = async (id) => {
+    const cover = await withBookDoc(id, generateCoverImage).catch(e => { alert(describeOpenError(e)); return null; });
+    if (!cover) return;
+    setEditingBook(e => e && e.id === id ? { ...e, cover } : e);
   };
 
-  const activeChapter = useMemo(() => {
-    if (!chapters.length) return null;
-    return [...chapters].reverse().find(c => currentPage >= c.page);
-  }, [chapters, currentPage]);
+  // Custom covers are scaled down to the generated cover size so the
+  // metadata store doesn't carry full-resolution images.
+  const pickBookCover = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const img = new Image();
+    img.onload = () => {
+      const ratio = Math.min(1, 320 / img.width);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * ratio); canvas.height = Math.round(img.height * ratio);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(img.src);
+      setEditingBook(ed => ed && { ...ed, cover: canvas.toDataURL('image/jpeg', 0.8) });
+    };
+    img.src = URL.createObjectURL(file);
+  };
 
-  // --- Interaction Logic ---
-  const handleDragStart = (e) => {
-    if (!pdfDoc || sidebarOpen || showSettings) return;
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const width = window.innerWidth;
-    if (clientX > width * 0.88) { setDragDirection('next'); setDragStartX(clientX); setIsDragging(true); } 
-    else if (clientX < width * 0.12) { setDragDirection('prev'); setDragStartX(clientX); setIsDragging(true); }
+  // A cleared field falls back to the document's own info.
+  const saveBookDetails = async () => {
+    const { id, title, author, cover } = editingBook;
+    await editBook(id, { title: title.trim() || undefined, author: author.trim() || undefined, cover });
+    setEditingBook(null);
   };
 
-  const handleDragMove = (e) => {
-    if (!isDragging) return;
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const delta = clientX - dragStartX;
-    setDragOffset(dragDirection === 'next' ? Math.min(0, delta) : Math.max(0, delta));
+  const allTags = useMemo(() => [...new Set(library.flatMap(b => b.tags || []))].sort(), [library]);
+
+  // --- Storage Management ---
+  const removeBooks = async (ids) => {
+    await deleteBooksFromDB(ids);
+    setBookmarks(bs => bs.filter(b => !ids.includes(b.file)));
+    setNotes(ns => ns.filter(n => !ids.includes(n.file)));
+    setStorageSelection(sel => sel.filter(id => !ids.includes(id)));
+    loadLib();
+    if (showStorage) refreshStorage();
   };
 
-  const handleDragEnd = () => {
-    if (!isDragging) return;
-    const threshold = window.innerWidth * 0.25;
-    if (dragDirection === 'next' && dragOffset < -threshold) {
-      setCurrentPage(p => Math.min(numPages, isTwoPage ? p + 2 : p + 1));
-    } else if (dragDirection === 'prev' && dragOffset > threshold) {
-      setCurrentPage(p => Math.max(1, isTwoPage ? p - 2 : p - 1));
+  // Books imported before sizes were recorded are measured once from their
+  // stored blob and the size is written back to their metadata.
+  const refreshStorage = async () => {
+    for (const book of library.filter(b => b.size === undefined)) {
+      const data = await getFile(book.id);
+      await updateMeta(book.id, { size: data?.byteLength || 0 });
     }
-    setIsDragging(false); setDragOffset(0); setDragDirection(null);
+    const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : null;
+    const persisted = navigator.storage?.persisted ? await navigator.storage.persisted() : false;
+    setStorageInfo({ usage: estimate?.usage || 0, quota: estimate?.quota || 0, persisted });
+    loadLib();
   };
 
-  const toggleTTS = async () => {
-    if (isSpeaking) { synth.cancel(); setIsSpeaking(false); return; }
+  const requestPersistence = async () => {
+    if (!navigator.storage?.persist) return;
+    const persisted = await navigator.storage.persist();
+    setStorageInfo(info => ({ ...info, persisted }));
+  };
+
+  useEffect(() => { if (showStorage) refreshStorage(); }, [showStorage]);
+
+  const backupLibrary = async () => {
     try {
-      const page = await pdfDoc.getPage(currentPage);
-      const textContent = await page.getTextContent();
-      const text = textContent.items.map(s => s.str).join(' ').trim();
-      if (!text) return;
-      synth.cancel();
-      const utterance = new SpeechSynthesisUtterance(text);
-      if (selectedVoice) utterance.voice = selectedVoice;
-      utterance.pitch = 0.9; utterance.rate = speechRate;
-      utterance.onstart = () => setIsSpeaking(true);
-      utterance.onend = () => setIsSpeaking(false);
-      setTimeout(() => synth.speak(utterance), 50);
-    } catch (e) { setIsSpeaking(false); }
+      const blob = await exportLibraryArchive((n, total) => setBackupStatus(`Packing ${n}/${total}`));
+      const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = `aldiko-library-${new Date().toISOString().slice(0, 10)}.zip`; a.click();
+      setTimeout(() => URL.revokeObjectURL(a.href), 10000);
+    } catch (err) { alert(`Backup failed: ${err.message}`); }
+    finally { setBackupStatus(null); }
   };
 
-  // --- Library Logic ---
-  const onFile = async (e) => {
+  const restoreLibrary = async (e) => {
     const file = e.target.files[0];
+    e.target.value = '';
     if (!file) return;
-    setIsLoading(true);
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      try {
-        const buf = ev.target.result;
-        const id = `${file.name}_${Date.now()}`;
-        const meta = { id, name: file.name, lastPage: 1, lastOpened: Date.now(), cover: null, totalTime: 0, tags: [] };
-        await saveBookToDB(meta, buf);
-        const task = pdfjsLibRef.current.getDocument({ data: new Uint8Array(buf) });
-        const pdf = await task.promise;
-        const cover = await generateCoverImage(pdf);
-        await extractOutline(pdf);
-        await updateMeta({ ...meta, cover });
-        setPdfDoc(pdf); setNumPages(pdf.numPages); setPdfFile(id); setIsLoading(false); loadLib();
-      } catch (err) { setIsLoading(false); }
-    };
-    reader.readAsArrayBuffer(file);
+    if (restoreMode === 'replace' && !confirm('Replace your entire library, notes and history with this backup?')) return;
+    try {
+      setBackupStatus('Reading backup');
+      await importLibraryArchive(file, restoreMode, (n, total) => setBackupStatus(`Restoring ${n}/${total}`));
+      if (pdfFile) loadAnnotations(pdfFile);
+    } catch (err) { alert(`Restore failed: ${err.message}`); }
+    finally { setBackupStatus(null); loadLib(); if (showStorage) refreshStorage(); }
   };
 
-  const openBook = async (book) => {
-    setIsLoading(true); 
+  // Other books' outlines are read from a throwaway document, and only for
+  // books that actually have something to export.
+  const exportNotes = async () => {
+    const { format, scope } = notebookExport;
+    const books = scope === 'book' ? library.filter(b => b.id === pdfFile)
+      : scope === 'library' ? library : library.filter(b => (b.tags || []).includes(scope.slice(4)));
+    setNotebookBusy(true);
     try {
-      const data = await getFile(book.id); 
-      const pdf = await pdfjsLibRef.current.getDocument({ data: new Uint8Array(data) }).promise; 
-      await extractOutline(pdf);
-      setPdfDoc(pdf); setNumPages(pdf.numPages); setPdfFile(book.id); 
-      setCurrentPage(book.lastPage || 1); setTotalTimeInBook(book.totalTime || 0); setSessionSeconds(0);
-    } catch (e) {} finally { setIsLoading(false); }
+      const [allNotes, allBookmarks] = scope === 'book' ? [notes, bookmarks] : await Promise.all([getAllRecords(NOTE_STORE), getAllRecords(BOOKMARK_STORE)]);
+      const chaptersByBook = {};
+      for (const b of books) {
+        if (b.id === pdfFile) chaptersByBook[b.id] = chapters;
+        else if (allNotes.some(n => n.file === b.id) || allBookmarks.some(m => m.file === b.id)) {
+          const outline = await withBookDoc(b.id, readOutline).catch(() => []);
+          chaptersByBook[b.id] = mergeChapters(outline, { ...EMPTY_USER_CHAPTERS, ...b.userChapters });
+        }
+      }
+      const notebook = buildNotebook(books, allNotes, allBookmarks, chaptersByBook);
+      if (!notebook.length) { alert('Nothing to export yet.'); return; }
+      const fmt = NOTEBOOK_FORMATS[format];
+      const name = fmt.filename || `${notebook.length === 1 ? notebook[0].title.replace(/[\\/:*?"<>|]+/g, '').trim() || 'notebook' : `aldiko-notebook-${new Date().toISOString().slice(0, 10)}`}.${fmt.ext}`;
+      const blob = new Blob([fmt.render(notebook)], { type: `${fmt.mime};charset=utf-8` });
+      const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = name; a.click();
+    } catch (err) { alert(`Export failed: ${err.message}`); }
+    finally { setNotebookBusy(false); }
+  };
+
+  const exportAnnotatedPdf = async () => {
+    if (!pdfDoc || !pdfFile) return;
+    setNotebookBusy(true);
+    try {
+      const bytes = await getFile(pdfFile);
+      const out = await buildAnnotatedPdf(bytes, pdfDoc, {
+        notes: notes.filter(n => n.file === pdfFile),
+        bookmarks: bookmarks.filter(b => b.file === pdfFile),
+        chapters,
+        renamed: userChapters.renamed,
+        pageLabel,
+        author: 'Aldiko Reader'
+      });
+      const blob = new Blob([out], { type: 'application/pdf' });
+      const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = `${(currentBook ? bookTitle(currentBook) : 'book').replace(/[\\/:*?"<>|]+/g, '').trim() || 'book'} (annotated).pdf`; a.click();
+    } catch (err) {
+      alert(err?.name === 'EncryptedPDFError' ? "This PDF is encrypted, so an annotated copy can't be written." : "The annotated copy couldn't be created.");
+    } finally { setNotebookBusy(false); }
+  };
+
+  // Re-importing the same file is harmless: anything already stored for the
+  // same book, page and text is skipped.
+  const importClippings = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setNotebookBusy(true);
+    try {
+      const clips = parseKindleClippings(await file.text());
+      const [storedNotes, storedBookmarks] = await Promise.all([getAllRecords(NOTE_STORE), getAllRecords(BOOKMARK_STORE)]);
+      const seen = new Set([...storedNotes.map(n => `${n.file}|${n.page}|${n.content}`), ...storedBookmarks.map(m => `${m.file}|${m.page}|`)]);
+      const newNotes = [], newBookmarks = [], books = new Set();
+      let unmatched = 0, noPage = 0;
+      clips.forEach((c, i) => {
+        const book = matchBookByTitle(library, c.title);
+        if (!book) { unmatched++; return; }
+        if (!c.page) { noPage++; return; }
+        const key = `${book.id}|${c.page}|${c.type === 'bookmark' ? '' : c.text}`;
+        if (seen.has(key)) return;
+        seen.add(key); books.add(book.id);
+        const id = `kindle:${Date.now()}:${i}`;
+        if (c.type === 'bookmark') newBookmarks.push({ id, page: c.page, file: book.id, created: c.created });
+        else {
+          const color = HIGHLIGHT_COLORS[c.type === 'note' ? 2 : 0];
+          newNotes.push({ id, type: c.type, page: c.page, file: book.id, content: c.text, color: color.value, colorName: color.name, created: c.created, source: 'kindle' });
+        }
+      });
+      await mergeRecords(NOTE_STORE, newNotes);
+      await mergeRecords(BOOKMARK_STORE, newBookmarks);
+      if (pdfFile && books.has(pdfFile)) await loadAnnotations(pdfFile);
+      const skipped = [unmatched && `${unmatched} with no matching book`, noPage && `${noPage} without a page number`].filter(Boolean);
+      alert(`Imported ${newNotes.length} highlight(s) and note(s) and ${newBookmarks.length} bookmark(s) into ${books.size} book(s).${skipped.length ? `\nSkipped ${skipped.join(' and ')}.` : ''}`);
+    } catch (err) {
+      alert("That file couldn't be read as Kindle clippings.");
+    } finally { setNotebookBusy(false); }
+  };
+
+  // --- Reading Analytics ---
+  const updateDailyGoal = (minutes) => {
+    const next = Math.min(600, Math.max(5, minutes));
+    setDailyGoal(next);
+    setState('dailyGoalMinutes', next);
+  };
+
+  const dailyTotals = useMemo(() => readingLog.reduce((acc, e) => {
+    const day = acc[e.date] || (acc[e.date] = { seconds: 0, pages: 0 });
+    day.seconds += e.seconds; day.pages += e.pages;
+    return acc;
+  }, {}), [readingLog]);
+
+  // Consecutive days with reading, ending today, or yesterday if today
+  // hasn't been read yet.
+  const readingStreak = useMemo(() => {
+    const d = new Date();
+    if (!dailyTotals[dayKey(d)]?.seconds) d.setDate(d.getDate() - 1);
+    let streak = 0;
+    while (dailyTotals[dayKey(d)]?.seconds) { streak++; d.setDate(d.getDate() - 1); }
+    return streak;
+  }, [dailyTotals]);
+
+  const lastDays = (count) => Array.from({ length: count }, (_, i) => {
+    const d = new Date();
+    d.setDate(d.getDate() - (count - 1 - i));
+    return { key: dayKey(d), label: d.toLocaleDateString(undefined, { weekday: 'narrow' }), seconds: dailyTotals[dayKey(d)]?.seconds || 0 };
+  });
+
+  const bookStats = useMemo(() => {
+    const byBook = {};
+    readingLog.forEach(e => { (byBook[e.file] = byBook[e.file] || []).push(e); });
+    return Object.entries(byBook).map(([file, entries]) => ({
+      file,
+      seconds: entries.reduce((n, e) => n + e.seconds, 0),
+      pages: entries.reduce((n, e) => n + e.pages, 0),
+      pace: readingPace(entries)
+    })).sort((a, b) => b.seconds - a.seconds);
+  }, [readingLog]);
+
+  const todaySeconds = (dailyTotals[dayKey()]?.seconds || 0) + (logPendingRef.current.seconds || 0);
+  const pagesPerMinute = bookStats.find(b => b.file === pdfFile)?.pace || readingPace(readingLog) || DEFAULT_PAGES_PER_MINUTE;
+  const nextChapterPage = chapters.reduce((next, c) => (c.page > currentPage && c.page < next ? c.page : next), numPages + 1);
+  const chapterSecondsLeft = Math.round(((nextChapterPage - currentPage) / pagesPerMinute) * 60);
+  const bookSecondsLeft = Math.round(((numPages - currentPage + 1) / pagesPerMinute) * 60);
+
+  // --- Keyboard & Command Palette ---
+  useEffect(() => {
+    getState('shortcuts', {}).then(saved => setShortcuts({ ...DEFAULT_SHORTCUTS, ...saved }));
+  }, []);
+
+  // A remapped key is taken away from whichever action held it before.
+  const saveShortcut = (action, combo) => {
+    const next = Object.fromEntries(Object.entries(shortcuts).map(([id, keys]) => [id, keys.filter(k => k !== combo)]));
+    next[action] = [combo];
+    setShortcuts(next);
+    setState('shortcuts', next);
   };
 
-  const exportNotes = () => {
-    const bNotes = notes.filter(n => n.file === pdfFile);
-    const content = `# Notebook: ${pdfFile}\n\n` + bNotes.map(n => `## Page ${n.page} [${n.colorName}]\n> ${n.content}\n`).join('\n');
-    const blob = new Blob([content], { type: 'text/markdown' });
-    const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = `${pdfFile}_notes.md`; a.click();
+  const resetShortcuts = () => { setShortcuts(DEFAULT_SHORTCUTS); setState('shortcuts', {}); };
+
+  const actions = {
+    nextPage: { label: 'Next page', reader: true, run: () => turnPage(1) },
+    prevPage: { label: 'Previous page', reader: true, run: () => turnPage(-1) },
+    firstPage: { label: 'First page', reader: true, run: () => jumpTo(1) },
+    lastPage: { label: 'Last page', reader: true, run: () => jumpTo(numPages) },
+    historyBack: { label: 'Go back', reader: true, run: goBack },
+    historyForward: { label: 'Go forward', reader: true, run: goForward },
+    toggleBookmark: { label: 'Toggle bookmark', reader: true, run: () => toggleBookmark() },
+    toggleSidebar: { label: 'Toggle sidebar', reader: true, run: () => setSidebarOpen(o => !o) },
+    search: { label: 'Search in book', reader: true, run: () => { setSidebarTab('search'); setSidebarOpen(true); } },
+    zoomIn: { label: 'Zoom in', reader: true, run: () => stepZoom(0.1) },
+    zoomOut: { label: 'Zoom out', reader: true, run: () => stepZoom(-0.1) },
+    cycleTheme: { label: 'Switch theme', run: () => setTheme(t => ({ light: 'sepia', sepia: 'dark', dark: 'light' })[t]) },
+    toggleTTS: { label: 'Read aloud', reader: true, run: () => toggleTTS() },
+    toggleTwoPage: { label: 'Toggle two-page spread', reader: true, run: () => setLayoutMode(layoutMode === 'spread' ? 'single' : 'spread') },
+    toggleReflow: { label: 'Toggle reflow text', reader: true, run: () => setLayoutMode(layoutMode === 'reflow' ? 'single' : 'reflow') },
+    pageGrid: { label: 'Page thumbnails', reader: true, run: () => setShowPageGrid(v => !v) },
+    palette: { label: 'Command palette', run: () => { setPaletteQuery(''); setPaletteIndex(0); setShowPalette(true); } },
+    help: { label: 'Keyboard shortcuts', run: () => setShowHelp(true) }
+  };
+
+  keyHandlerRef.current = (e) => {
+    const combo = comboFromEvent(e);
+    if (!combo) return;
+    setLastActivity(Date.now());
+    if (recordingAction) {
+      e.preventDefault();
+      if (combo !== 'Escape') saveShortcut(recordingAction, combo);
+      setRecordingAction(null);
+      return;
+    }
+    if (combo === 'Escape') {
+      setShowPalette(false); setShowHelp(false); setShowSettings(false); setShowTTSPanel(false); setSelectionPopover(null); setShowPageGrid(false);
+      if (!showPalette && !showHelp) setSidebarOpen(false);
+      return;
+    }
+    const id = Object.keys(actions).find(a => (shortcuts[a] || []).includes(combo));
+    if (!id || (actions[id].reader && !pdfDoc)) return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable="true"]') && id !== 'palette') return;
+    if (showPalette && id !== 'palette') return;
+    e.preventDefault();
+    actions[id].run();
   };
 
+  useEffect(() => {
+    const onKey = (e) => keyHandlerRef.current(e);
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  const paletteItems = (() => {
+    if (!showPalette) return [];
+    const items = [
+      ...Object.entries(actions).filter(([id, a]) => id !== 'palette' && (!a.reader || pdfDoc)).map(([id, a]) => ({ id: `cmd:${id}`, kind: 'Command', label: a.label, hint: shortcuts[id]?.[0], run: a.run })),
+      ...(pdfDoc ? chapters : []).map(c => ({ id: `ch:${c.id}`, kind: 'Chapter', label: c.title, hint: `p.${pageLabel(c.page)}`, run: () => jumpTo(c.page) })),
+      ...bookmarks.filter(b => b.file === pdfFile).map(b => ({ id: `bm:${b.id}`, kind: 'Bookmark', label: `Bookmark on page ${pageLabel(b.page)}`, hint: `p.${pageLabel(b.page)}`, run: () => jumpTo(b.page) })),
+      ...library.map(b => ({ id: `book:${b.id}`, kind: 'Book', label: bookTitle(b), run: () => openBook(b) }))
+    ];
+    if (!paletteQuery.trim()) return items.slice(0, 60);
+    return items.map(i => ({ ...i, score: fuzzyScore(paletteQuery, i.label) })).filter(i => i.score >= 0).sort((a, b) => b.score - a.score).slice(0, 60);
+  })();
+
+  const runPaletteItem = (item) => { if (!item) return; setShowPalette(false); item.run(); };
+
   const formatTime = (s) => {
     const h = Math.floor(s / 3600);
     const m = Math.floor((s % 3600) / 60);
     return h > 0 ? `${h}h ${m}m` : `${m}m`;
   };
 
-  const filteredLibrary = library.filter(b => b.name.toLowerCase().includes(libSearch.toLowerCase()));
+  const formatBytes = (b) => {
+    if (b < 1024 * 1024) return `${Math.max(1, Math.round(b / 1024))} KB`;
+    if (b < 1024 * 1024 * 1024) return `${(b / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(b / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  };
+
+  const filteredLibrary = library
+    .filter(b => [b.name, bookTitle(b), bookAuthor(b)].some(f => f.toLowerCase().includes(libSearch.toLowerCase())))
+    .filter(b => !shelfView.tag || (b.tags || []).includes(shelfView.tag))
+    .filter(b => !shelfView.collection || (b.collections || []).includes(shelfView.collection))
+    .sort((SHELF_SORTS[shelfView.sort] || SHELF_SORTS.lastOpened).compare);
+  const shelfFiltered = !!(shelfView.tag || shelfView.collection);
 
   return (
     <div 
       className={`h-screen ${THEMES[theme].bg} ${THEMES[theme].text} transition-all duration-700 flex flex-col font-sans select-none overflow-hidden`}
       onMouseMove={() => { setFocusMode(false); setLastActivity(Date.now()); }}
+      onTouchStartCapture={markActivity}
+      onScrollCapture={markActivity}
     >
       {/* Eye Comfort Filter Overlay */}
       <div className="fixed inset-0 pointer-events-none z-[200] transition-opacity duration-1000" style={{ backgroundColor: 'rgba(255, 160, 0, 0.1)', opacity: blueLightFilter / 100 }} />
@@ -360,6 +3271,8 @@ const App = () => {
         <div className="flex bg-black/5 p-1 mx-4 my-6 rounded-2xl">
           {[
             { id: 'nav', icon: <Navigation size={14}/>, label: 'Reader' },
+            { id: 'pages', icon: <LayoutGrid size={14}/>, label: 'Pages' },
+            { id: 'search', icon: <Search size={14}/>, label: 'Search' },
             { id: 'notes', icon: <StickyNote size={14}/>, label: 'Notes' },
             { id: 'stats', icon: <BarChart3 size={14}/>, label: 'Analytics' }
           ].map(tab => (
@@ -375,42 +3288,96 @@ const App = () => {
             <div className="space-y-8 animate-in fade-in slide-in-from-left-4">
               <section>
                 <label className="text-[10px] font-bold uppercase tracking-[0.2em] opacity-30 mb-3 block">Navigation</label>
-                <form onSubmit={(e) => { e.preventDefault(); const p = parseInt(jumpPageInput); if(p >= 1 && p <= numPages) { setCurrentPage(p); setSidebarOpen(false); } }} className="flex gap-2">
-                  <input type="number" value={jumpPageInput} onChange={(e) => setJumpPageInput(e.target.value)} placeholder={`Jump to (1-${numPages})`} className={`flex-1 px-4 py-3 text-sm rounded-2xl border border-black/5 ${THEMES[theme].bg} focus:ring-2 focus:ring-blue-500 outline-none shadow-inner`} />
+                <form onSubmit={(e) => { e.preventDefault(); const p = parsePageInput(jumpPageInput); if(p) { jumpTo(p); setSidebarOpen(false); } }} className="flex gap-2">
+                  <input type="text" value={jumpPageInput} onChange={(e) => setJumpPageInput(e.target.value)} placeholder={pageLabels ? `Jump to (${pageLabel(1)}–${pageLabel(numPages)})` : `Jump to (1-${numPages})`} className={`flex-1 px-4 py-3 text-sm rounded-2xl border border-black/5 ${THEMES[theme].bg} focus:ring-2 focus:ring-blue-500 outline-none shadow-inner`} />
                   <button type="submit" className="bg-blue-600 text-white px-5 rounded-2xl text-xs font-bold shadow-lg shadow-blue-500/20 active:scale-95 transition-transform">GO</button>
                 </form>
               </section>
               <section>
                 <div className="flex justify-between items-center mb-4">
                    <label className="text-[10px] font-bold uppercase tracking-[0.2em] opacity-30">Outline</label>
-                   <button onClick={() => { const t = prompt("Add Chapter Marker:"); if(t) setChapters([...chapters, { id: Date.now(), title: t, page: currentPage }]); }} className="text-blue-600 p-1 hover:bg-blue-50 rounded-lg"><Plus size={14}/></button>
+                   <button onClick={addChapterMarker} className="text-blue-600 p-1 hover:bg-blue-50 rounded-lg"><Plus size={14}/></button>
                 </div>
                 <div className="space-y-1">
-                  {chapters.length === 0 ? <p className="text-xs opacity-30 italic p-4 text-center border border-dashed border-black/10 rounded-2xl">No chapters detected.</p> : chapters.map((c) => (
-                    <div key={c.id} className={`flex items-center group rounded-2xl transition-all ${activeChapter?.id === c.id ? 'bg-blue-600/5' : 'hover:bg-black/5'}`}>
-                      <button onClick={() => { setCurrentPage(c.page); setSidebarOpen(false); }} className={`flex-1 text-left p-3.5 text-sm flex justify-between items-center ${activeChapter?.id === c.id ? 'font-black text-blue-600' : 'opacity-80'}`}>
-                        <span className="truncate w-40">{c.title}</span>
-                        <span className="text-[10px] opacity-30 font-mono">p.{c.page}</span>
+                  {chapters.length === 0 ? <p className="text-xs opacity-30 italic p-4 text-center border border-dashed border-black/10 rounded-2xl">No chapters detected.</p> : visibleChapters.map((c) => (
+                    <div key={c.id} className={`flex items-center group rounded-2xl transition-all ${activeChapter?.id === c.id ? 'bg-blue-600/5' : 'hover:bg-black/5'}`} style={{ paddingLeft: c.depth * 14 }}>
+                      {c.hasChildren ? (
+                        <button onClick={() => toggleOutlineNode(c.id)} className="p-1 ml-1 opacity-40 hover:opacity-100 shrink-0">{expandedOutline.has(c.id) ? <ChevronDown size={12}/> : <ChevronRight size={12}/>}</button>
+                      ) : <span className="w-5 ml-1 shrink-0" />}
+                      <button onClick={() => { jumpTo(c.page); setSidebarOpen(false); }} className={`flex-1 min-w-0 text-left py-3.5 pr-2 text-sm flex justify-between items-center gap-2 ${activeChapter?.id === c.id ? 'font-black text-blue-600' : 'opacity-80'} ${c.depth === 0 ? '' : 'text-[13px]'}`}>
+                        <span className={`truncate ${c.user ? 'italic' : ''}`}>{c.title}</span>
+                        <span className="text-[10px] opacity-30 font-mono shrink-0">p.{pageLabel(c.page)}</span>
                       </button>
-                      <button onClick={() => { const n = prompt("Rename Chapter:", c.title); if(n) setChapters(chapters.map(ch => ch.id === c.id ? {...ch, title: n} : ch)) }} className="opacity-0 group-hover:opacity-40 p-2"><Edit2 size={12}/></button>
+                      <button onClick={() => renameChapter(c)} className="opacity-0 group-hover:opacity-40 p-2"><Edit2 size={12}/></button>
+                      {c.user && <button onClick={() => removeChapterMarker(c)} className="opacity-0 group-hover:opacity-40 hover:text-red-600 p-2 -ml-2"><X size={12}/></button>}
                     </div>
                   ))}
                 </div>
               </section>
             </div>
           )}
+          {sidebarTab === 'pages' && (
+            <div className="animate-in fade-in slide-in-from-left-4">
+              <div className="flex justify-between items-center mb-4">
+                <label className="text-[10px] font-bold uppercase tracking-[0.2em] opacity-30">{numPages} Pages</label>
+                <button onClick={() => { setShowPageGrid(true); setSidebarOpen(false); }} className="text-blue-600 p-1 hover:bg-blue-50 rounded-lg" title="Full-screen grid (G)"><Maximize2 size={14}/></button>
+              </div>
+              <div className="grid grid-cols-2 gap-4">
+                {sidebarOpen && thumbnailTiles(num => { jumpTo(num); setSidebarOpen(false); })}
+              </div>
+            </div>
+          )}
+          {sidebarTab === 'search' && (
+            <div className="space-y-6">
+              <form onSubmit={(e) => { e.preventDefault(); runSearch(searchQuery); }} className="relative">
+                <input type="text" value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} placeholder="Search this book..." className={`w-full pl-11 pr-4 py-3 text-sm rounded-2xl border border-black/5 ${THEMES[theme].bg} focus:ring-2 focus:ring-blue-500 outline-none shadow-inner`} />
+                <Search size={16} className="absolute left-4 top-1/2 -translate-y-1/2 opacity-30" />
+              </form>
+              {(isSearching || searchResults.length > 0) && (
+                <div className="flex justify-between items-center px-1">
+                  <span className="text-[10px] font-bold uppercase tracking-[0.2em] opacity-30">
+                    {isSearching ? `Scanning ${searchProgress}/${numPages}` : `${activeHit + 1} of ${searchResults.length} hits`}
+                  </span>
+                  <div className="flex gap-1">
+                    <button onClick={() => goToHit(activeHit - 1)} disabled={!searchResults.length} className="p-1.5 hover:bg-black/5 rounded-lg disabled:opacity-20"><ChevronLeft size={14}/></button>
+                    <button onClick={() => goToHit(activeHit + 1)} disabled={!searchResults.length} className="p-1.5 hover:bg-black/5 rounded-lg disabled:opacity-20"><ChevronRight size={14}/></button>
+                  </div>
+                </div>
+              )}
+              <div className="space-y-1">
+                {!isSearching && searchedFor && searchResults.length === 0 ? <p className="text-center py-20 opacity-20 text-xs italic">No matches.</p> : searchResults.map((h, i) => (
+                  <button key={h.id} onClick={() => goToHit(i)} className={`w-full text-left p-3.5 rounded-2xl transition-all ${activeHit === i ? 'bg-blue-600/5' : 'hover:bg-black/5'}`}>
+                    <span className={`text-[9px] font-black tracking-widest ${activeHit === i ? 'text-blue-600' : 'opacity-30'}`}>PG {pageLabel(h.page)}</span>
+                    <p className="text-xs leading-relaxed opacity-80 line-clamp-2">…{h.before}<mark className="bg-yellow-200 rounded px-0.5">{h.match}</mark>{h.after}…</p>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
           {sidebarTab === 'notes' && (
             <div className="space-y-6">
                <div className="flex justify-between items-center px-1">
                  <label className="text-[10px] font-bold uppercase tracking-[0.2em] opacity-30">Notebook</label>
-                 <button onClick={exportNotes} className="text-blue-600 text-[10px] font-bold flex items-center gap-1 hover:underline"><Download size={12}/> EXPORT MD</button>
+                 <button disabled={notebookBusy} onClick={() => clippingsInputRef.current.click()} className="text-blue-600 text-[10px] font-bold flex items-center gap-1 hover:underline disabled:opacity-30" title="Import Kindle My Clippings.txt"><Upload size={12}/> IMPORT CLIPPINGS</button>
+               </div>
+               <div className="flex flex-wrap items-center gap-2 p-3 rounded-3xl bg-black/5">
+                 <select value={notebookExport.format} onChange={(e) => setNotebookExport(x => ({ ...x, format: e.target.value }))} className="flex-1 min-w-0 bg-transparent text-xs font-bold outline-none cursor-pointer">
+                   {Object.entries(NOTEBOOK_FORMATS).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+                 </select>
+                 <select value={notebookExport.scope} onChange={(e) => setNotebookExport(x => ({ ...x, scope: e.target.value }))} className="flex-1 min-w-0 bg-transparent text-xs font-bold outline-none cursor-pointer">
+                   <option value="book">This book</option>
+                   {allTags.map(t => <option key={t} value={`tag:${t}`}>Tag: {t}</option>)}
+                   <option value="library">Whole library</option>
+                 </select>
+                 <button disabled={notebookBusy} onClick={exportNotes} className="flex items-center gap-1 bg-blue-600 text-white px-3 py-2 rounded-2xl text-[10px] font-black uppercase tracking-widest shadow-lg shadow-blue-500/20 active:scale-95 transition-transform disabled:opacity-40"><Download size={12}/> Export</button>
+                 {(currentBook?.format || 'pdf') === 'pdf' && <button disabled={notebookBusy} onClick={exportAnnotatedPdf} className="w-full flex items-center justify-center gap-1 px-3 py-2 rounded-2xl text-[10px] font-black uppercase tracking-widest border border-black/10 hover:bg-black/5 disabled:opacity-40" title="Download this book with highlights, notes and bookmarks embedded"><FileUp size={12}/> Annotated PDF</button>}
                </div>
                <div className="space-y-4">
                  {notes.filter(n => n.file === pdfFile).length === 0 ? <p className="text-center py-20 opacity-20 text-xs italic">No highlights recorded yet.</p> : notes.filter(n => n.file === pdfFile).map(n => (
                    <div key={n.id} className={`p-5 rounded-3xl ${THEMES[theme].bg} border-l-[6px] shadow-sm relative group transition-transform hover:-translate-y-0.5`} style={{ borderColor: n.color || '#3b82f6' }}>
                      <div className="flex justify-between items-center mb-3">
-                       <span className="text-[9px] font-black opacity-30 tracking-widest">PG {n.page}</span>
-                       <button onClick={() => setNotes(notes.filter(x => x.id !== n.id))} className="opacity-0 group-hover:opacity-100 text-red-500 transition-opacity p-1 hover:bg-red-50 rounded-lg"><Trash2 size={14}/></button>
+                       <span className="text-[9px] font-black opacity-30 tracking-widest">PG {pageLabel(n.page)}</span>
+                       <button onClick={() => removeNote(n.id)} className="opacity-0 group-hover:opacity-100 text-red-500 transition-opacity p-1 hover:bg-red-50 rounded-lg"><Trash2 size={14}/></button>
                      </div>
                      <p className="text-sm italic leading-relaxed opacity-90">"{n.content}"</p>
                    </div>
@@ -418,7 +3385,7 @@ const App = () => {
                </div>
                <div className="grid grid-cols-4 gap-2 px-1 py-4 border-t border-black/5">
                  {HIGHLIGHT_COLORS.map(c => (
-                   <button key={c.name} onClick={() => { const v = prompt(`Add ${c.name} Highlight:`); if(v) setNotes([...notes, { id: Date.now(), page: currentPage, file: pdfFile, content: v, color: c.value, colorName: c.name }]); }} className={`h-8 rounded-full border-2 ${c.border} shadow-sm active:scale-90 transition-transform`} style={{ backgroundColor: c.value }} title={c.name} />
+                   <button key={c.name} onClick={() => { const v = prompt(`Add ${c.name} Note for page ${currentPage}:`); if(v) addNote({ id: Date.now(), page: currentPage, file: pdfFile, content: v, color: c.value, colorName: c.name, created: Date.now() }); }} className={`h-8 rounded-full border-2 ${c.border} shadow-sm active:scale-90 transition-transform`} style={{ backgroundColor: c.value }} title={c.name} />
                  ))}
                </div>
             </div>
@@ -441,16 +3408,56 @@ const App = () => {
                 </div>
               </div>
               <div className={`p-6 rounded-[2rem] ${THEMES[theme].bg} border border-black/5 shadow-inner`}>
-                <div className="flex items-center gap-2 mb-4 opacity-40">
-                  <Timer size={14} />
-                  <span className="text-[10px] font-bold uppercase tracking-widest">This Session</span>
+                <div className="flex items-center justify-between mb-4">
+                  <span className="flex items-center gap-2 opacity-40"><Timer size={14} /><span className="text-[10px] font-bold uppercase tracking-widest">Today</span></span>
+                  <span className="text-[10px] font-bold opacity-40 font-mono">Session {formatTime(sessionSeconds)}</span>
                 </div>
-                <div className="text-3xl font-serif font-black">{formatTime(sessionSeconds)}</div>
+                <div className="text-3xl font-serif font-black">{formatTime(todaySeconds)}</div>
                 <div className="w-full bg-black/5 h-1 rounded-full overflow-hidden mt-5">
-                  <div className="bg-blue-600 h-full transition-all duration-1000" style={{ width: `${Math.min(100, (sessionSeconds / 1800) * 100)}%` }} />
+                  <div className="bg-blue-600 h-full transition-all duration-1000" style={{ width: `${Math.min(100, (todaySeconds / (dailyGoal * 60)) * 100)}%` }} />
+                </div>
+                <div className="flex items-center justify-between mt-3">
+                  <p className="text-[8px] font-black opacity-30 uppercase tracking-widest">Daily Goal: {dailyGoal} Minutes</p>
+                  <div className="flex gap-1">
+                    <button onClick={() => updateDailyGoal(dailyGoal - 5)} className="px-2 rounded-lg bg-black/5 text-xs font-bold opacity-60 hover:opacity-100">-</button>
+                    <button onClick={() => updateDailyGoal(dailyGoal + 5)} className="px-2 rounded-lg bg-black/5 text-xs font-bold opacity-60 hover:opacity-100">+</button>
+                  </div>
                 </div>
-                <p className="text-[8px] font-black opacity-30 mt-3 uppercase tracking-widest">Daily Goal: 30 Minutes</p>
               </div>
+              {[{ label: 'This Week', days: lastDays(7) }, { label: 'Last 30 Days', days: lastDays(30) }].map(chart => {
+                const peak = Math.max(dailyGoal * 60, ...chart.days.map(d => d.seconds));
+                return (
+                  <section key={chart.label}>
+                    <div className="flex justify-between items-center mb-3 px-1">
+                      <label className="text-[10px] font-bold uppercase tracking-[0.2em] opacity-30">{chart.label}</label>
+                      <span className="text-[10px] font-bold opacity-40 font-mono">{formatTime(chart.days.reduce((n, d) => n + d.seconds, 0))}</span>
+                    </div>
+                    <div className={`relative flex items-end h-24 px-1 ${chart.days.length > 7 ? 'gap-[2px]' : 'gap-2'}`}>
+                      <div className="absolute inset-x-0 border-t border-dashed border-blue-600/30 pointer-events-none" style={{ bottom: `${(dailyGoal * 60 / peak) * 100}%` }} />
+                      {chart.days.map(d => (
+                        <div key={d.key} className="flex-1 flex flex-col items-center justify-end h-full" title={`${d.key}: ${formatTime(d.seconds)}`}>
+                          <div className={`w-full rounded-t-md ${d.seconds >= dailyGoal * 60 ? 'bg-blue-600' : 'bg-blue-600/30'}`} style={{ height: `${(d.seconds / peak) * 100}%` }} />
+                          {chart.days.length <= 7 && <span className="text-[8px] font-black opacity-30 mt-1">{d.label}</span>}
+                        </div>
+                      ))}
+                    </div>
+                  </section>
+                );
+              })}
+              <section>
+                <label className="text-[10px] font-bold uppercase tracking-[0.2em] opacity-30 mb-3 block px-1">By Book</label>
+                <div className="space-y-1">
+                  {bookStats.length === 0 ? <p className="text-xs opacity-30 italic p-4 text-center border border-dashed border-black/10 rounded-2xl">No reading logged yet.</p> : bookStats.map(b => (
+                    <div key={b.file} className="p-3 rounded-2xl hover:bg-black/5">
+                      <div className="flex justify-between items-center text-sm">
+                        <span className="truncate opacity-80 mr-3">{(library.find(l => l.id === b.file) ? bookTitle(library.find(l => l.id === b.file)) : 'Removed book')}</span>
+                        <span className="text-[10px] font-mono opacity-40 shrink-0">{formatTime(b.seconds)}</span>
+                      </div>
+                      <div className="text-[9px] font-black opacity-30 tracking-widest uppercase mt-1">{b.pages} pages{b.pace ? ` • ${b.pace.toFixed(1)} pages/min` : ''}</div>
+                    </div>
+                  ))}
+                </div>
+              </section>
             </div>
           )}
         </div>
@@ -461,8 +3468,14 @@ const App = () => {
         <div className="flex items-center gap-4">
           <button onClick={() => { setPdfDoc(null); setPdfFile(null); loadLib(); }} className="p-2 hover:bg-black/5 rounded-xl transition-all active:scale-90"><Home size={22} /></button>
           {pdfDoc && <button onClick={() => setSidebarOpen(true)} className="p-2 hover:bg-black/5 rounded-xl transition-all active:scale-90"><List size={22} /></button>}
+          {pdfDoc && (navHistory.back.length > 0 || navHistory.forward.length > 0) && (
+            <div className="flex items-center bg-black/5 p-1 rounded-2xl">
+              <button onClick={goBack} disabled={!navHistory.back.length} className="p-1.5 rounded-xl hover:bg-white disabled:opacity-20 transition-all" title={navHistory.back.length ? `Back to page ${pageLabel(navHistory.back[navHistory.back.length - 1])}` : 'Back'}><ArrowLeft size={16}/></button>
+              <button onClick={goForward} disabled={!navHistory.forward.length} className="p-1.5 rounded-xl hover:bg-white disabled:opacity-20 transition-all" title={navHistory.forward.length ? `Forward to page ${pageLabel(navHistory.forward[0])}` : 'Forward'}><ArrowRight size={16}/></button>
+            </div>
+          )}
           <div className="flex flex-col">
-            <h1 className="text-sm font-black truncate max-w-[150px] leading-tight tracking-tight uppercase opacity-80">{pdfDoc ? pdfFile.split('_')[0] : 'Aldiko'}</h1>
+            <h1 className="text-sm font-black truncate max-w-[150px] leading-tight tracking-tight uppercase opacity-80">{pdfDoc ? (currentBook ? bookTitle(currentBook) : '') : 'Aldiko'}</h1>
             {activeChapter && <span className="text-[9px] font-bold text-blue-600 truncate max-w-[120px]">{activeChapter.title}</span>}
           </div>
         </div>
@@ -471,17 +3484,35 @@ const App = () => {
           {pdfDoc && (
             <>
               <div className="hidden lg:flex items-center gap-1 bg-black/5 p-1 rounded-2xl mr-2">
-                <button onClick={() => setIsTwoPage(!isTwoPage)} className={`p-2 rounded-xl transition-all ${isTwoPage ? 'bg-white text-blue-600 shadow-xl scale-105' : 'opacity-40'}`} title="Two-Page Spread"><Layout size={18}/></button>
+                {[
+                  { id: 'single', icon: <RectangleVertical size={18}/>, label: 'Single Page' },
+                  { id: 'spread', icon: <Layout size={18}/>, label: 'Two-Page Spread' },
+                  { id: 'scroll', icon: <Rows3 size={18}/>, label: 'Continuous Scroll' },
+                  { id: 'reflow', icon: <WrapText size={18}/>, label: 'Reflow Text' }
+                ].map(m => (
+                  <button key={m.id} disabled={pdfDoc.reflowOnly && m.id !== 'reflow'} onClick={() => setLayoutMode(m.id)} className={`p-2 rounded-xl transition-all disabled:opacity-15 ${layoutMode === m.id || (pdfDoc.reflowOnly && m.id === 'reflow') ? 'bg-white text-blue-600 shadow-xl scale-105' : 'opacity-40'}`} title={m.label}>{m.icon}</button>
+                ))}
                 <div className="w-px h-5 bg-black/10 mx-1" />
                 <button onClick={() => setShowSettings(!showSettings)} className={`p-2 rounded-xl transition-all ${showSettings ? 'bg-white text-blue-600 shadow-xl' : 'opacity-40'}`}><Settings size={18}/></button>
+                <button onClick={() => setShowHelp(true)} className="p-2 rounded-xl transition-all opacity-40 hover:opacity-100" title="Keyboard Shortcuts (?)"><Keyboard size={18}/></button>
               </div>
+              <button disabled={pdfDoc.reflowOnly} onClick={() => setLayoutMode(isReflow ? 'single' : 'reflow')} className={`lg:hidden p-2 rounded-xl transition-all mr-1 ${isReflow ? 'bg-white text-blue-600 shadow-xl' : 'opacity-40'}`} title="Reflow Text"><WrapText size={18}/></button>
               <div className="flex items-center gap-1 bg-black/5 p-1 rounded-2xl mr-2">
-                <button onClick={() => setScale(s => Math.max(0.4, s - 0.1))} className="p-1 px-3 hover:bg-white rounded-xl text-xs font-bold transition-all">-</button>
-                <span className="text-[10px] font-black opacity-60 w-10 text-center font-mono">{Math.round(scale * 100)}%</span>
-                <button onClick={() => setScale(s => Math.min(4, s + 0.1))} className="p-1 px-3 hover:bg-white rounded-xl text-xs font-bold">+</button>
+                <button onClick={() => stepZoom(-0.1)} className="p-1 px-3 hover:bg-white rounded-xl text-xs font-bold transition-all">-</button>
+                <span className="text-[10px] font-black opacity-60 w-10 text-center font-mono">{isReflow ? `${reflowFontSize}px` : `${Math.round(scale * 100)}%`}</span>
+                <button onClick={() => stepZoom(0.1)} className="p-1 px-3 hover:bg-white rounded-xl text-xs font-bold">+</button>
+                <div className="w-px h-5 bg-black/10 mx-1" />
+                {[
+                  { id: 'fit-width', icon: <MoveHorizontal size={14}/>, label: 'Fit Width' },
+                  { id: 'fit-page', icon: <Maximize2 size={14}/>, label: 'Fit Page' },
+                  { id: 'actual', icon: <span className="text-[9px] font-black font-mono">1:1</span>, label: 'Actual Size' }
+                ].map(z => (
+                  <button key={z.id} onClick={() => setZoomMode(zoomMode === z.id ? 'custom' : z.id)} className={`p-1.5 rounded-xl transition-all ${zoomMode === z.id ? 'bg-white text-blue-600 shadow' : 'opacity-40 hover:opacity-100'}`} title={z.label}>{z.icon}</button>
+                ))}
               </div>
               <div className="flex items-center gap-1 bg-black/5 p-1 rounded-2xl">
                  <button onClick={toggleTTS} className={`p-2 rounded-xl transition-all ${isSpeaking ? 'bg-blue-600 text-white shadow-xl animate-pulse' : 'opacity-40 hover:opacity-100'}`} title="Text-to-Speech"><Volume2 size={18}/></button>
+                 <button onClick={() => setShowTTSPanel(!showTTSPanel)} className={`p-2 rounded-xl transition-all ${showTTSPanel ? 'bg-white text-blue-600 shadow-xl' : 'opacity-40 hover:opacity-100'}`} title="Read Aloud Settings"><Sliders size={18}/></button>
               </div>
             </>
           )}
@@ -495,9 +3526,10 @@ const App = () => {
           {!pdfDoc ? (
             <button onClick={() => fileInputRef.current.click()} className="ml-3 px-6 py-2.5 bg-blue-600 text-white rounded-full text-[11px] font-black tracking-widest shadow-xl shadow-blue-500/30 active:scale-95 transition-all uppercase">Import</button>
           ) : (
-            <button onClick={() => { const exists = bookmarks.find(b => b.page === currentPage && b.file === pdfFile); if(exists) setBookmarks(bookmarks.filter(b => b.id !== exists.id)); else setBookmarks([...bookmarks, { id: Date.now(), page: currentPage, file: pdfFile }]); }} className={`p-2 transition-all ml-2 ${bookmarks.some(b => b.page === currentPage && b.file === pdfFile) ? 'text-red-500' : 'opacity-30'}`}><Bookmark fill="currentColor" size={24} /></button>
+            <button onClick={() => toggleBookmark()} className={`p-2 transition-all ml-2 ${bookmarks.some(b => b.page === currentPage && b.file === pdfFile) ? 'text-red-500' : 'opacity-30'}`}><Bookmark fill="currentColor" size={24} /></button>
           )}
-          <input type="file" ref={fileInputRef} className="hidden" accept=".pdf" onChange={onFile} />
+          <input type="file" ref={fileInputRef} className="hidden" accept={IMPORT_ACCEPT} multiple onChange={onFile} />
+          <input type="file" ref={clippingsInputRef} className="hidden" accept=".txt,text/plain" onChange={importClippings} />
         </div>
       </nav>
 
@@ -516,6 +3548,16 @@ const App = () => {
                  <button onClick={() => setFontFamily('sans')} className={`flex-1 py-3 rounded-xl text-xs font-sans font-bold transition-all ${fontFamily === 'sans' ? 'bg-white shadow-xl scale-105' : 'opacity-40'}`}>Sans</button>
                </div>
              </div>
+             {isReflow && (
+               <div className="space-y-4">
+                 <div className="flex justify-between items-center text-[10px] font-black opacity-40 uppercase tracking-widest"><span>Text Size</span> <WrapText size={12}/></div>
+                 <div className="flex items-center gap-2 p-1 bg-black/5 rounded-2xl">
+                   <button onClick={() => stepReflowFont(-1)} className="flex-1 py-2 rounded-xl text-xs font-bold hover:bg-white transition-all">A−</button>
+                   <span className="text-[10px] font-black opacity-60 font-mono w-10 text-center">{reflowFontSize}px</span>
+                   <button onClick={() => stepReflowFont(1)} className="flex-1 py-2 rounded-xl text-base font-bold hover:bg-white transition-all">A+</button>
+                 </div>
+               </div>
+             )}
              <div className="space-y-4">
                <div className="flex justify-between items-center text-[10px] font-black opacity-40 uppercase tracking-widest"><span>Comfort Filter</span> <Moon size={12}/></div>
                <input type="range" min="0" max="60" value={blueLightFilter} onChange={(e) => setBlueLightFilter(parseInt(e.target.value))} className="w-full accent-amber-600" />
@@ -528,39 +3570,179 @@ const App = () => {
                  ))}
                </div>
              </div>
+             <div className="space-y-3 pt-6 border-t border-black/5">
+               {pdfDoc && (
+                 <label className="flex items-center justify-between gap-3 cursor-pointer">
+                   <span className="text-[10px] font-black opacity-60 uppercase tracking-widest">Remember for this book</span>
+                   <input type="checkbox" checked={bookPrefsOn} onChange={toggleBookPrefs} className="accent-blue-600" />
+                 </label>
+               )}
+               <button onClick={resetPrefs} className="flex items-center gap-2 text-[10px] font-black uppercase tracking-widest opacity-40 hover:opacity-100 transition-opacity"><RotateCcw size={12}/> Reset to defaults</button>
+             </div>
+          </div>
+        </div>
+      )}
+
+      {/* Read Aloud Panel */}
+      {showTTSPanel && pdfDoc && (
+        <div className={`fixed top-20 right-8 w-80 p-8 rounded-[2.5rem] z-[150] ${THEMES[theme].secondary} shadow-2xl border border-black/5 animate-in slide-in-from-top-6 duration-500`}>
+          <div className="flex justify-between items-center mb-6">
+            <h3 className="text-[10px] font-black uppercase tracking-[0.2em] opacity-30">Read Aloud</h3>
+            <button onClick={() => setShowTTSPanel(false)} className="p-1 hover:bg-black/5 rounded-full"><X size={16}/></button>
+          </div>
+          <div className="flex items-center justify-center gap-3 mb-8">
+            <button onClick={() => skipSentence(-1)} disabled={!isSpeaking} className="p-3 rounded-2xl hover:bg-black/5 disabled:opacity-20"><SkipBack size={18}/></button>
+            <button onClick={toggleTTS} className="p-4 rounded-full bg-blue-600 text-white shadow-xl shadow-blue-500/30 active:scale-95 transition-transform">{isSpeaking ? <Pause size={20}/> : <Play size={20}/>}</button>
+            <button onClick={() => skipSentence(1)} disabled={!isSpeaking} className="p-3 rounded-2xl hover:bg-black/5 disabled:opacity-20"><SkipForward size={18}/></button>
+          </div>
+          <div className="space-y-6">
+            <div className="space-y-3">
+              <div className="text-[10px] font-black opacity-40 uppercase tracking-widest">Voice</div>
+              <select value={selectedVoice?.voiceURI || ''} onChange={(e) => setSelectedVoice(voices.find(v => v.voiceURI === e.target.value) || null)} className={`w-full px-3 py-2.5 text-xs rounded-xl border border-black/5 ${THEMES[theme].bg} outline-none`}>
+                {voices.map(v => <option key={v.voiceURI} value={v.voiceURI}>{v.name} ({v.lang})</option>)}
+              </select>
+            </div>
+            <div className="space-y-3">
+              <div className="flex justify-between text-[10px] font-black opacity-40 uppercase tracking-widest"><span>Rate</span><span className="font-mono">{speechRate.toFixed(2)}x</span></div>
+              <input type="range" min="0.5" max="2" step="0.05" value={speechRate} onChange={(e) => setSpeechRate(parseFloat(e.target.value))} className="w-full" />
+            </div>
+            <div className="space-y-3">
+              <div className="flex justify-between text-[10px] font-black opacity-40 uppercase tracking-widest"><span>Pitch</span><span className="font-mono">{speechPitch.toFixed(2)}</span></div>
+              <input type="range" min="0.5" max="1.5" step="0.05" value={speechPitch} onChange={(e) => setSpeechPitch(parseFloat(e.target.value))} className="w-full" />
+            </div>
+            <div className="space-y-3">
+              <div className="flex justify-between items-center text-[10px] font-black opacity-40 uppercase tracking-widest"><span>Sleep Timer</span>{sleepAt && <span className="font-mono text-blue-600 opacity-100">{Math.max(1, Math.ceil((sleepAt - Date.now()) / 60000))}m left</span>}</div>
+              <div className="flex gap-2">
+                {[0, 15, 30, 60].map(m => (
+                  <button key={m} onClick={() => { setSleepAt(m ? Date.now() + m * 60000 : null); setSleepMinutes(m); }} className={`flex-1 py-2 rounded-xl text-[10px] font-black transition-all ${m === sleepMinutes ? 'bg-blue-600 text-white shadow-xl' : 'bg-black/5 opacity-60 hover:opacity-100'}`}>{m ? `${m}m` : 'Off'}</button>
+                ))}
+              </div>
+            </div>
           </div>
         </div>
       )}
 
+      {/* Highlight Colour Popover */}
+      {selectionPopover && (
+        <div className={`fixed z-[160] -translate-x-1/2 -translate-y-full -mt-3 flex items-center gap-2 p-2 rounded-2xl ${THEMES[theme].secondary} shadow-2xl border border-black/5 animate-in fade-in zoom-in-95`} style={{ left: selectionPopover.x, top: selectionPopover.y - 12 }} onMouseDown={(e) => e.preventDefault()}>
+          {HIGHLIGHT_COLORS.map(c => (
+            <button key={c.name} onClick={() => addHighlight(c)} className={`w-7 h-7 rounded-full border-2 ${c.border} shadow-sm active:scale-90 transition-transform`} style={{ backgroundColor: c.value }} title={`Highlight ${c.name}`} />
+          ))}
+          <button onClick={() => { window.getSelection().removeAllRanges(); setSelectionPopover(null); }} className="p-1 hover:bg-black/5 rounded-full opacity-40"><X size={14}/></button>
+        </div>
+      )}
+
       {/* Main Surface */}
       <main 
         ref={mainRef}
         className={`flex-1 overflow-y-auto relative flex justify-center items-start scroll-smooth kindle-scroller custom-scroll transition-colors duration-1000 ${fontFamily === 'serif' ? 'font-serif' : 'font-sans'} bg-black/[0.015]`}
         onMouseDown={handleDragStart} onMouseMove={handleDragMove} onMouseUp={handleDragEnd} onMouseLeave={handleDragEnd}
         onTouchStart={handleDragStart} onTouchMove={handleDragMove} onTouchEnd={handleDragEnd}
+        onScroll={onMainScroll}
+        onDragOver={(e) => { if (pdfDoc || !e.dataTransfer.types.includes('Files')) return; e.preventDefault(); setDragActive(true); }}
+        onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false); }}
+        onDrop={(e) => { if (!pdfDoc) onShelfDrop(e); }}
+        style={pdfDoc ? { touchAction: 'pan-x pan-y' } : undefined}
       >
+        {!pdfDoc && dragActive && (
+          <div className="fixed inset-6 z-[200] rounded-[2.5rem] border-4 border-dashed border-blue-600 bg-blue-600/10 backdrop-blur-sm flex flex-col items-center justify-center pointer-events-none">
+            <FileUp size={48} className="text-blue-600 mb-4" />
+            <p className="text-xs font-black uppercase tracking-[0.2em] text-blue-600">Drop books or folders to import</p>
+          </div>
+        )}
         {!pdfDoc ? (
           <div className="w-full max-w-6xl mt-16 px-10 pb-32 animate-in fade-in slide-in-from-bottom-12 duration-1000">
+             {libError && (
+               <div className="mb-10 flex items-center gap-4 p-5 rounded-[2rem] bg-red-600/10 text-red-700 border border-red-600/20">
+                 <AlertCircle size={22} className="shrink-0" />
+                 <div className="flex-1 min-w-0">
+                   <p className="text-xs font-black uppercase tracking-widest">The PDF engine failed to load</p>
+                   <p className="text-[11px] opacity-70 mt-1 break-words">PDF books can't be opened until it does. EPUB and comic books still work. ({libError})</p>
+                 </div>
+                 <button onClick={() => window.location.reload()} className="shrink-0 flex items-center gap-1.5 px-4 py-2 rounded-2xl text-[10px] font-black uppercase tracking-widest border border-red-600/30 hover:bg-red-600/10"><RotateCcw size={12}/> Reload</button>
+               </div>
+             )}
              <div className="flex flex-col md:flex-row items-start md:items-end justify-between mb-12 gap-6">
                <div>
                  <h2 className="text-6xl font-black tracking-tighter leading-none mb-4">My Shelf</h2>
                  <p className="text-sm opacity-40 font-medium tracking-wide">Aldiko Premium Suite • Local Library Management</p>
+                 {indexingBook && <p className="text-[10px] font-bold uppercase tracking-[0.2em] text-blue-600 mt-3 animate-pulse truncate max-w-md">Indexing {indexingBook}…</p>}
+                 {indexError && (
+                   <p className="flex items-center gap-2 text-[11px] font-medium text-red-600 mt-3 max-w-md">
+                     <AlertCircle size={13} className="shrink-0" /><span className="truncate" title={indexError}>{indexError}</span>
+                     <button onClick={() => setIndexError(null)} className="p-0.5 hover:bg-black/5 rounded-full shrink-0"><X size={12}/></button>
+                   </p>
+                 )}
                </div>
-               <div className="relative group w-full md:w-80">
-                 <input 
-                  type="text" value={libSearch} onChange={(e) => setLibSearch(e.target.value)} 
-                  placeholder="Search Library..."
-                  className={`w-full pl-12 pr-6 py-4 rounded-[1.5rem] ${THEMES[theme].secondary} border border-black/5 focus:ring-4 focus:ring-blue-500/10 outline-none transition-all shadow-sm`}
-                 />
-                 <Search size={20} className="absolute left-4 top-1/2 -translate-y-1/2 opacity-20" />
+               <div className="flex items-center gap-3 w-full md:w-auto">
+                 <button onClick={() => setShowStorage(true)} className={`p-4 rounded-[1.5rem] ${THEMES[theme].secondary} border border-black/5 opacity-60 hover:opacity-100 transition-all shadow-sm`} title="Storage"><HardDrive size={20}/></button>
+                 <div className="relative group w-full md:w-80">
+                   <input 
+                    type="text" value={libSearch} onChange={(e) => setLibSearch(e.target.value)} 
+                    placeholder="Search Library..."
+                    className={`w-full pl-12 pr-6 py-4 rounded-[1.5rem] ${THEMES[theme].secondary} border border-black/5 focus:ring-4 focus:ring-blue-500/10 outline-none transition-all shadow-sm`}
+                   />
+                   <Search size={20} className="absolute left-4 top-1/2 -translate-y-1/2 opacity-20" />
+                 </div>
                </div>
              </div>
 
+             {library.length > 0 && (
+               <div className="flex flex-wrap items-center gap-2 mb-12">
+                 <button onClick={() => updateShelfView({ tag: null, collection: null })} className={`px-4 py-2 rounded-full text-[10px] font-black uppercase tracking-widest transition-all ${!shelfFiltered ? 'bg-blue-600 text-white shadow-lg shadow-blue-500/20' : 'bg-black/5 opacity-60 hover:opacity-100'}`}>All Books</button>
+                 {collections.map(col => (
+                   <span key={col.id} className={`group/col flex items-center gap-2 pl-4 pr-2 py-2 rounded-full text-[10px] font-black uppercase tracking-widest transition-all ${shelfView.collection === col.id ? 'bg-blue-600 text-white shadow-lg shadow-blue-500/20' : 'bg-black/5 opacity-60 hover:opacity-100'}`}>
+                     <button onClick={() => updateShelfView({ collection: shelfView.collection === col.id ? null : col.id })} className="flex items-center gap-2"><Folder size={12}/> {col.name} <span className="opacity-50">{library.filter(b => (b.collections || []).includes(col.id)).length}</span></button>
+                     <button onClick={() => deleteCollection(col)} className="opacity-0 group-hover/col:opacity-60 hover:!opacity-100" title="Delete collection"><X size={12}/></button>
+                   </span>
+                 ))}
+                 <button onClick={() => createCollection()} className="p-2 rounded-full bg-black/5 opacity-40 hover:opacity-100 transition-all" title="New collection"><FolderPlus size={14}/></button>
+                 {allTags.length > 0 && <span className="w-px h-6 bg-black/10 mx-2" />}
+                 {allTags.map(tag => (
+                   <button key={tag} onClick={() => updateShelfView({ tag: shelfView.tag === tag ? null : tag })} className={`flex items-center gap-1.5 px-3 py-2 rounded-full text-[10px] font-bold transition-all ${shelfView.tag === tag ? 'bg-amber-500 text-white shadow-lg shadow-amber-500/20' : 'bg-black/5 opacity-60 hover:opacity-100'}`}><TagIcon size={11}/> {tag}</button>
+                 ))}
+                 <label className={`ml-auto flex items-center gap-2 px-4 py-2 rounded-full ${THEMES[theme].secondary} border border-black/5 text-[10px] font-black uppercase tracking-widest`}>
+                   <Filter size={12} className="opacity-40"/>
+                   <select value={shelfView.sort} onChange={(e) => updateShelfView({ sort: e.target.value })} className="bg-transparent outline-none uppercase tracking-widest cursor-pointer">
+                     {Object.entries(SHELF_SORTS).map(([key, s]) => <option key={key} value={key}>{s.label}</option>)}
+                   </select>
+                 </label>
+               </div>
+             )}
+
+             {libTextResults.length > 0 && (
+               <div className="mb-16">
+                 <label className="text-[10px] font-bold uppercase tracking-[0.2em] opacity-30 mb-4 block">Found in Text • {libTextResults.length} Pages</label>
+                 <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                   {libTextResults.map(hit => {
+                     const book = library.find(b => b.id === hit.bookId);
+                     if (!book) return null;
+                     return (
+                       <button key={hit.id} onClick={() => openBook(book, hit.page)} className={`text-left p-5 rounded-3xl ${THEMES[theme].secondary} border border-black/5 hover:-translate-y-0.5 transition-transform`}>
+                         <div className="flex justify-between items-center mb-2 text-[9px] font-black tracking-widest">
+                           <span className="uppercase truncate opacity-60">{bookTitle(book)}</span>
+                           <span className="text-blue-600 shrink-0 ml-3">PG {hit.page}</span>
+                         </div>
+                         <p className="text-xs leading-relaxed opacity-80 line-clamp-2">…{hit.before}<mark className="bg-yellow-200 rounded px-0.5">{hit.match}</mark>{hit.after}…</p>
+                       </button>
+                     );
+                   })}
+                 </div>
+               </div>
+             )}
+
              {filteredLibrary.length === 0 ? (
                <div className="text-center py-48 bg-black/[0.02] rounded-[5rem] border-2 border-dashed border-black/5 flex flex-col items-center">
                  <BookOpen size={64} className="opacity-10 mb-8"/>
-                 <p className="text-xl opacity-30 font-medium tracking-tight">Your bookshelf is empty.</p>
-                 <button onClick={() => fileInputRef.current.click()} className="mt-8 text-blue-600 font-black text-xs uppercase tracking-widest hover:underline">Import your first PDF</button>
+                 <p className="text-xl opacity-30 font-medium tracking-tight">{library.length ? 'No books match this shelf.' : 'Your bookshelf is empty.'}</p>
+                 {library.length ? (
+                   <button onClick={() => { setLibSearch(''); updateShelfView({ tag: null, collection: null }); }} className="mt-8 text-blue-600 font-black text-xs uppercase tracking-widest hover:underline">Show all books</button>
+                 ) : (
+                   <>
+                     <button onClick={() => fileInputRef.current.click()} className="mt-8 text-blue-600 font-black text-xs uppercase tracking-widest hover:underline">Import your first book</button>
+                     <p className="mt-3 text-[10px] font-bold uppercase tracking-widest opacity-30">or drop files and folders here</p>
+                   </>
+                 )}
                </div>
              ) : (
                <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-6 gap-x-12 gap-y-20">
@@ -573,22 +3755,90 @@ const App = () => {
                          <div className={`w-full h-full flex items-center justify-center ${THEMES[theme].secondary} opacity-40`}><BookOpen size={48} /></div>
                        )}
                        <div className="absolute inset-y-0 left-0 w-[10px] bg-gradient-to-r from-black/25 to-transparent opacity-60" />
-                       {book.lastPage > 1 && (
+                       {book.lastPage > 1 && book.numPages > 0 && (
                          <div className="absolute bottom-0 left-0 right-0 h-2 bg-black/10">
-                           <div className="h-full bg-blue-600 shadow-[0_0_15px_rgba(37,99,235,0.8)]" style={{ width: `${Math.min(100, (book.lastPage / 100) * 100)}%` }} />
+                           <div className="h-full bg-blue-600 shadow-[0_0_15px_rgba(37,99,235,0.8)]" style={{ width: `${Math.min(100, bookProgress(book) * 100)}%` }} />
                          </div>
                        )}
                      </div>
-                     <h3 className="text-sm font-black line-clamp-2 h-10 leading-tight group-hover:text-blue-600 transition-colors tracking-tight uppercase opacity-80 mb-2">{book.name.split('_')[0]}</h3>
-                     <div className="flex justify-between items-center opacity-30 text-[9px] font-black tracking-[0.15em]">
-                        <button onClick={(e) => { e.stopPropagation(); if(confirm("Permanently remove this book?")) { /* Logic to delete from DB */ } }} className="p-2 hover:bg-red-50 hover:text-red-600 rounded-xl transition-all"><Trash2 size={15}/></button>
-                        <span className="bg-black/5 px-2.5 py-1 rounded-full uppercase">PG {book.lastPage}</span>
+                     <h3 className="text-sm font-black line-clamp-2 h-10 leading-tight group-hover:text-blue-600 transition-colors tracking-tight uppercase opacity-80 mb-1">{bookTitle(book)}</h3>
+                     <p className="text-[10px] font-medium opacity-40 truncate h-4 mb-2">{bookAuthor(book)}</p>
+                     {(book.tags || []).length > 0 && (
+                       <div className="flex flex-wrap gap-1 mb-2">
+                         {book.tags.map(tag => (
+                           <span key={tag} className="group/tag flex items-center gap-1 px-2 py-0.5 rounded-full bg-amber-500/10 text-amber-700 text-[9px] font-bold">
+                             {tag}
+                             <button onClick={(e) => { e.stopPropagation(); removeTag(book, tag); }} className="hidden group-hover/tag:block" title="Remove tag"><X size={9}/></button>
+                           </span>
+                         ))}
+                       </div>
+                     )}
+                     <div className="relative flex justify-between items-center opacity-30 group-hover:opacity-60 transition-opacity text-[9px] font-black tracking-[0.15em]">
+                        <div className="flex">
+                          <button onClick={(e) => { e.stopPropagation(); if(confirm("Permanently remove this book?")) removeBooks([book.id]); }} className="p-2 hover:bg-red-50 hover:text-red-600 rounded-xl transition-all"><Trash2 size={15}/></button>
+                          <button onClick={(e) => { e.stopPropagation(); addTags(book); }} className="p-2 hover:bg-black/5 rounded-xl transition-all" title="Add tags"><TagIcon size={15}/></button>
+                          <button onClick={(e) => { e.stopPropagation(); setShelfMenu(shelfMenu === book.id ? null : book.id); }} className="p-2 hover:bg-black/5 rounded-xl transition-all" title="Collections"><Folder size={15}/></button>
+                          <button onClick={(e) => { e.stopPropagation(); setEditingBook({ id: book.id, title: book.title ?? '', author: book.author ?? '', cover: book.cover }); }} className="p-2 hover:bg-black/5 rounded-xl transition-all" title="Edit details"><Edit2 size={15}/></button>
+                        </div>
+                        <div className="flex gap-1">
+                          {BOOK_FORMAT_LABELS[book.format] && <span className="bg-blue-600/10 text-blue-600 px-2.5 py-1 rounded-full uppercase">{BOOK_FORMAT_LABELS[book.format]}</span>}
+                          <span className="bg-black/5 px-2.5 py-1 rounded-full uppercase" title={`Page ${book.lastPage}${book.numPages ? ` of ${book.numPages}` : ''}`}>{book.numPages ? `${Math.round(bookProgress(book) * 100)}%` : `PG ${book.lastPage}`}</span>
+                        </div>
                      </div>
+                     {shelfMenu === book.id && (
+                       <div onClick={(e) => e.stopPropagation()} className={`mt-2 p-2 rounded-2xl ${THEMES[theme].secondary} border border-black/5 shadow-xl animate-in fade-in zoom-in-95 cursor-default`}>
+                         {collections.map(col => (
+                           <button key={col.id} onClick={() => toggleCollection(book.id, col.id)} className="w-full flex items-center justify-between gap-2 px-3 py-2 rounded-xl hover:bg-black/5 text-xs text-left">
+                             <span className="truncate">{col.name}</span>
+                             {(book.collections || []).includes(col.id) && <Check size={12} className="text-blue-600 shrink-0"/>}
+                           </button>
+                         ))}
+                         <button onClick={() => createCollection(book.id)} className="w-full flex items-center gap-2 px-3 py-2 rounded-xl hover:bg-black/5 text-xs font-bold text-blue-600"><Plus size={12}/> New Collection</button>
+                       </div>
+                     )}
                    </div>
                  ))}
                </div>
              )}
           </div>
+        ) : isReflow ? (
+          <div className="direction-ltr w-full self-stretch flex justify-center min-h-0" style={{ padding: `40px ${margins}px` }}>
+            <article
+              ref={reflowRef}
+              onClick={(e) => {
+                if (window.getSelection().toString()) return;
+                const { left, width } = e.currentTarget.getBoundingClientRect();
+                const x = (e.clientX - left) / width;
+                if (x < 0.3) turnPage(-1); else if (x > 0.7) turnPage(1);
+              }}
+              className="h-full w-full max-w-[46rem] overflow-hidden select-text"
+              style={{ columnWidth: reflowWidth ? `${reflowWidth}px` : undefined, columnGap: REFLOW_GAP, columnFill: 'auto', fontSize: reflowFontSize, lineHeight: lineSpacing }}
+            >
+              {reflowContent?.error ? (
+                <div className="flex flex-col items-center gap-3 pt-24 text-center">
+                  <AlertCircle size={28} className="text-red-600" />
+                  <p className="text-xs font-black uppercase tracking-widest">This page couldn't be displayed</p>
+                  <p className="text-[11px] opacity-50">{reflowContent.error}</p>
+                  <button onClick={(e) => { e.stopPropagation(); setRenderRetry(r => r + 1); }} className="mt-2 flex items-center gap-1.5 px-4 py-2 rounded-2xl text-[10px] font-black uppercase tracking-widest border border-black/10 hover:bg-black/5"><RotateCcw size={12}/> Retry</button>
+                </div>
+              ) : reflowContent?.blocks.length === 0 && <p className="opacity-40 italic text-center pt-24">No extractable text on this page.</p>}
+              {reflowContent?.blocks.map((b, i) => {
+                const text = highlightRuns(b.text, reflowContent.align?.[i], reflowHighlights).map((r, k) => r.color ? <mark key={k} className={`rounded-sm ${theme === 'dark' ? 'text-black' : ''}`} style={{ backgroundColor: r.color }}>{r.text}</mark> : r.text);
+                return b.type === 'img' ? <img key={i} src={b.src} alt={b.text} className="block max-w-full max-h-full mx-auto my-[1em] break-inside-avoid" />
+                  : b.type === 'h2' ? <h2 key={i} data-block={i} className="text-[1.45em] font-black leading-tight tracking-tight mt-[0.4em] mb-[0.7em] break-after-avoid">{text}</h2>
+                  : b.type === 'h3' ? <h3 key={i} data-block={i} className="text-[1.15em] font-bold leading-snug mt-[0.6em] mb-[0.5em] break-after-avoid">{text}</h3>
+                  : <p key={i} data-block={i} className="mb-[0.8em] text-justify hyphens-auto">{text}</p>;
+              })}
+            </article>
+          </div>
+        ) : isContinuous ? (
+          <div className="relative direction-ltr shrink-0" style={{ height: scrollLayout.height, width: scrollLayout.width + margins * 2 }}>
+            {scrollLayout.slots.map((slot, i) => (
+              <ScrollPage key={i + 1} num={i + 1} slot={slot} active={scrollWindow.includes(i + 1)} scale={scale} dpr={dpr} retry={renderRetry} render={renderPage} release={(canvas) => renderManagerRef.current?.cancel(canvas)} overlay={<>{renderLinks(i + 1)}{renderPageError(i + 1, true)}</>} canvasClassName={`block ${theme === 'dark' ? 'invert-[0.94] hue-rotate-180 brightness-90 contrast-[1.05]' : ''}`}>
+                {renderMarks(i + 1)}
+              </ScrollPage>
+            ))}
+          </div>
         ) : (
           <div 
             className="relative group w-fit h-fit flex flex-col items-center py-12 direction-ltr transition-all duration-700" 
@@ -600,7 +3850,11 @@ const App = () => {
           >
             <div className={`flex gap-1 relative`}>
               <div className={`shadow-[0_60px_120px_-20px_rgba(0,0,0,0.3)] rounded-sm relative transition-all duration-500 overflow-hidden ${theme === 'sepia' ? 'sepia-[0.1]' : ''}`}>
-                <canvas ref={canvasRef} className={`block rounded-sm shadow-inner transition-all ${theme === 'dark' ? 'invert-[0.94] hue-rotate-180 brightness-90 contrast-[1.05]' : ''}`} />
+                <canvas ref={canvasRef} className={`${pageErrors[currentPage] ? 'hidden' : 'block'} rounded-sm shadow-inner transition-all ${theme === 'dark' ? 'invert-[0.94] hue-rotate-180 brightness-90 contrast-[1.05]' : ''}`} />
+                {renderPageError(currentPage)}
+                {renderMarks(currentPage)}
+                <div ref={textLayerRef} className="textLayer" />
+                {renderLinks(currentPage)}
                 <div className="absolute inset-y-0 right-0 w-10 bg-gradient-to-l from-black/15 to-transparent pointer-events-none opacity-40" />
                 {isDragging && dragDirection === 'next' && (
                   <div className="absolute inset-y-0 right-0 w-48 bg-gradient-to-l from-black/30 to-transparent pointer-events-none transition-opacity" style={{ opacity: Math.abs(dragOffset) / 300 }} />
@@ -609,7 +3863,11 @@ const App = () => {
               
               {isTwoPage && currentPage < numPages && (
                 <div className={`shadow-[0_60px_120px_-20px_rgba(0,0,0,0.3)] rounded-sm relative transition-all duration-500 overflow-hidden animate-in zoom-in-95 fade-in ${theme === 'sepia' ? 'sepia-[0.1]' : ''}`}>
-                  <canvas ref={canvasTwoRef} className={`block rounded-sm shadow-inner transition-all ${theme === 'dark' ? 'invert-[0.94] hue-rotate-180 brightness-90 contrast-[1.05]' : ''}`} />
+                  <canvas ref={canvasTwoRef} className={`${pageErrors[currentPage + 1] ? 'hidden' : 'block'} rounded-sm shadow-inner transition-all ${theme === 'dark' ? 'invert-[0.94] hue-rotate-180 brightness-90 contrast-[1.05]' : ''}`} />
+                  {renderPageError(currentPage + 1)}
+                  {renderMarks(currentPage + 1)}
+                  <div ref={textLayerTwoRef} className="textLayer" />
+                  {renderLinks(currentPage + 1)}
                   <div className="absolute inset-y-0 left-0 w-10 bg-gradient-to-r from-black/15 to-transparent pointer-events-none opacity-40" />
                   {isDragging && dragDirection === 'prev' && (
                     <div className="absolute inset-y-0 left-0 w-48 bg-gradient-to-r from-black/30 to-transparent pointer-events-none transition-opacity" style={{ opacity: Math.abs(dragOffset) / 300 }} />
@@ -621,11 +3879,16 @@ const App = () => {
             {/* Premium Gutter Indicator */}
             <div className="absolute left-1/2 top-0 bottom-0 w-[2px] bg-black/10 opacity-0 group-hover:opacity-20 transition-opacity translate-x-[-1px] pointer-events-none" />
 
-            {/* Floating Nav Controls */}
-            <button onClick={() => setCurrentPage(p => Math.max(1, p - 1))} className={`fixed left-12 top-1/2 -translate-y-1/2 p-7 bg-white/95 dark:bg-zinc-800/90 shadow-[0_30px_60px_-12px_rgba(0,0,0,0.25)] rounded-full z-30 transition-all duration-500 hover:scale-110 active:scale-95 ${focusMode ? 'opacity-0 -translate-x-full' : 'opacity-100 translate-x-0'}`}><ChevronLeft size={36} className="text-blue-600"/></button>
-            <button onClick={() => setCurrentPage(p => Math.min(numPages, p + 1))} className={`fixed right-12 top-1/2 -translate-y-1/2 p-7 bg-white/95 dark:bg-zinc-800/90 shadow-[0_30px_60px_-12px_rgba(0,0,0,0.25)] rounded-full z-30 transition-all duration-500 hover:scale-110 active:scale-95 ${focusMode ? 'opacity-0 translate-x-full' : 'opacity-100 translate-x-0'}`}><ChevronRight size={36} className="text-blue-600"/></button>
           </div>
         )}
+
+        {/* Floating Nav Controls */}
+        {pdfDoc && (
+          <>
+            <button onClick={() => turnPage(-1)} className={`fixed left-12 top-1/2 -translate-y-1/2 p-7 bg-white/95 dark:bg-zinc-800/90 shadow-[0_30px_60px_-12px_rgba(0,0,0,0.25)] rounded-full z-30 transition-all duration-500 hover:scale-110 active:scale-95 ${focusMode ? 'opacity-0 -translate-x-full' : 'opacity-100 translate-x-0'}`}><ChevronLeft size={36} className="text-blue-600"/></button>
+            <button onClick={() => turnPage(1)} className={`fixed right-12 top-1/2 -translate-y-1/2 p-7 bg-white/95 dark:bg-zinc-800/90 shadow-[0_30px_60px_-12px_rgba(0,0,0,0.25)] rounded-full z-30 transition-all duration-500 hover:scale-110 active:scale-95 ${focusMode ? 'opacity-0 translate-x-full' : 'opacity-100 translate-x-0'}`}><ChevronRight size={36} className="text-blue-600"/></button>
+          </>
+        )}
       </main>
 
       {/* Enhanced Analytical Footer */}
@@ -633,22 +3896,316 @@ const App = () => {
         <footer className={`h-24 ${THEMES[theme].secondary} border-t border-black/5 flex flex-col justify-center px-12 z-[60] shrink-0 transition-transform duration-700 ${focusMode ? 'translate-y-full' : 'translate-y-0'}`}>
           <div className="flex justify-between items-center text-[10px] font-black opacity-40 mb-5 uppercase tracking-[0.25em]">
             <div className="flex items-center gap-10">
-              <span className="flex items-center gap-2.5 transition-all hover:text-blue-600 cursor-help"><Clock size={15}/> {Math.round((numPages - currentPage) * 1.5)} MINS REMAINING</span>
+              <span className="flex items-center gap-2.5 transition-all hover:text-blue-600 cursor-help"><Clock size={15}/> {chapters.length > 0 && `${formatTime(chapterSecondsLeft)} LEFT IN CHAPTER • `}{formatTime(bookSecondsLeft)} LEFT IN BOOK</span>
               <span className="flex items-center gap-2.5 text-blue-600"><Timer size={15}/> READING: {formatTime(sessionSeconds)}</span>
             </div>
             <div className="flex items-center gap-8">
-              <span>LOC {currentPage} OF {numPages} ({Math.round((currentPage/numPages)*100)}%)</span>
+              <span>LOC {pageLabel(currentPage)}{pageLabels && ` (${currentPage})`} OF {numPages} ({Math.round((currentPage/numPages)*100)}%){isReflow && reflowScreens > 1 && ` • ${reflowScreen + 1}/${reflowScreens}`}</span>
               <div className="h-4 w-px bg-black/10" />
               <button onClick={() => setSidebarOpen(true)} className="hover:text-blue-600 transition-colors uppercase">Open Index</button>
             </div>
           </div>
-          <div className="w-full bg-black/10 h-[3px] rounded-full relative overflow-hidden shadow-inner group cursor-pointer">
-            <div className="bg-blue-600 h-full transition-all duration-1000 shadow-[0_0_20px_rgba(37,99,235,0.6)]" style={{ width: `${(currentPage/numPages)*100}%` }} />
-            <input type="range" min="1" max={numPages} value={currentPage} onChange={e => setCurrentPage(parseInt(e.target.value))} className="absolute inset-0 opacity-0 cursor-pointer w-full z-10" />
+          <div className="relative">
+            {sliderPreview && (
+              <div className={`absolute bottom-4 -translate-x-1/2 p-1.5 rounded-xl ${THEMES[theme].secondary} shadow-2xl border border-black/5 pointer-events-none z-20`} style={{ left: `clamp(3.5rem, ${sliderPreview.x}px, calc(100% - 3.5rem))` }}>
+                <PageThumbnail num={sliderPreview.page} load={loadThumbnail} className="w-24 aspect-[3/4] rounded-md" />
+                <div className="text-center text-[10px] font-black mt-1 opacity-60">{pageLabel(sliderPreview.page)}</div>
+              </div>
+            )}
+            <div className="w-full bg-black/10 h-[3px] rounded-full relative overflow-hidden shadow-inner group cursor-pointer">
+              <div className="bg-blue-600 h-full transition-all duration-1000 shadow-[0_0_20px_rgba(37,99,235,0.6)]" style={{ width: `${(currentPage/numPages)*100}%` }} />
+              <input
+                type="range" min="1" max={numPages} value={currentPage} onChange={e => setCurrentPage(parseInt(e.target.value))}
+                onPointerMove={(e) => {
+                  const rect = e.currentTarget.getBoundingClientRect();
+                  const x = Math.min(Math.max(e.clientX - rect.left, 0), rect.width);
+                  setSliderPreview({ x, page: Math.min(numPages, Math.max(1, Math.round(1 + (x / rect.width) * (numPages - 1)))) });
+                }}
+                onPointerLeave={() => setSliderPreview(null)} onPointerUp={(e) => { if (e.pointerType !== 'mouse') setSliderPreview(null); }}
+                className="absolute inset-0 opacity-0 cursor-pointer w-full z-10"
+              />
+            </div>
           </div>
         </footer>
       )}
 
+      {/* Command Palette */}
+      {showPalette && (
+        <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-[260] flex items-start justify-center pt-[15vh] p-6" onClick={() => setShowPalette(false)}>
+          <div className={`w-full max-w-xl rounded-[2rem] ${THEMES[theme].secondary} shadow-2xl border border-black/5 overflow-hidden`} onClick={(e) => e.stopPropagation()}>
+            <div className="relative border-b border-black/5">
+              <Command size={16} className="absolute left-5 top-1/2 -translate-y-1/2 opacity-30" />
+              <input
+                autoFocus value={paletteQuery} placeholder="Type a command, chapter, bookmark or book..."
+                onChange={(e) => { setPaletteQuery(e.target.value); setPaletteIndex(0); }}
+                onKeyDown={(e) => {
+                  if (e.key === 'ArrowDown') { e.preventDefault(); setPaletteIndex(i => Math.min(paletteItems.length - 1, i + 1)); }
+                  else if (e.key === 'ArrowUp') { e.preventDefault(); setPaletteIndex(i => Math.max(0, i - 1)); }
+                  else if (e.key === 'Enter') { e.preventDefault(); runPaletteItem(paletteItems[paletteIndex]); }
+                }}
+                className="w-full bg-transparent pl-12 pr-5 py-5 text-sm outline-none"
+              />
+            </div>
+            <div className="max-h-[50vh] overflow-y-auto custom-scroll p-2">
+              {paletteItems.length === 0 ? <p className="text-center py-10 opacity-30 text-xs italic">Nothing matches.</p> : paletteItems.map((item, i) => (
+                <button key={item.id} onMouseEnter={() => setPaletteIndex(i)} onClick={() => runPaletteItem(item)} className={`w-full flex items-center gap-3 px-4 py-3 rounded-2xl text-left transition-colors ${paletteIndex === i ? 'bg-blue-600 text-white' : ''}`}>
+                  <span className={`text-[9px] font-black uppercase tracking-widest w-16 shrink-0 ${paletteIndex === i ? 'opacity-70' : 'opacity-30'}`}>{item.kind}</span>
+                  <span className="flex-1 text-sm truncate">{item.label}</span>
+                  {item.hint && <span className={`text-[10px] font-mono ${paletteIndex === i ? 'opacity-70' : 'opacity-30'}`}>{item.hint}</span>}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Keyboard Shortcuts */}
+      {showHelp && (
+        <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-[260] flex items-center justify-center p-6" onClick={() => { setShowHelp(false); setRecordingAction(null); }}>
+          <div className={`w-full max-w-2xl max-h-[80vh] flex flex-col p-8 rounded-[2.5rem] ${THEMES[theme].secondary} shadow-2xl border border-black/5`} onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-center mb-6">
+              <h3 className="text-[10px] font-black uppercase tracking-[0.2em] opacity-30">Keyboard Shortcuts</h3>
+              <div className="flex items-center gap-4">
+                <button onClick={resetShortcuts} className="text-blue-600 text-[10px] font-bold uppercase tracking-widest hover:underline">Reset</button>
+                <button onClick={() => { setShowHelp(false); setRecordingAction(null); }} className="p-1 hover:bg-black/5 rounded-full"><X size={16}/></button>
+              </div>
+            </div>
+            <p className="text-[10px] opacity-40 mb-4">Click a shortcut, then press the new key combination. Esc cancels.</p>
+            <div className="flex-1 overflow-y-auto custom-scroll grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-1">
+              {Object.entries(actions).map(([id, a]) => (
+                <div key={id} className="flex justify-between items-center py-2.5 border-b border-black/5">
+                  <span className="text-sm opacity-80">{a.label}</span>
+                  <button onClick={() => setRecordingAction(id)} className="flex gap-1">
+                    {recordingAction === id ? (
+                      <span className="text-[10px] font-bold uppercase tracking-widest text-blue-600 animate-pulse">Press keys…</span>
+                    ) : (shortcuts[id] || []).length === 0 ? (
+                      <span className="text-[10px] opacity-30 italic">Unassigned</span>
+                    ) : shortcuts[id].map(k => (
+                      <kbd key={k} className="px-2 py-1 rounded-lg bg-black/5 border border-black/10 text-[10px] font-mono">{k}</kbd>
+                    ))}
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Open Error */}
+      {openError && (
+        <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-[270] flex items-center justify-center p-6" onClick={() => setOpenError(null)}>
+          <div className={`w-full max-w-md p-8 rounded-[2.5rem] ${THEMES[theme].secondary} shadow-2xl border border-black/5`} onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-center mb-6">
+              <h3 className="text-[10px] font-black uppercase tracking-[0.2em] opacity-30">Couldn't Open Book</h3>
+              <button onClick={() => setOpenError(null)} className="p-1 hover:bg-black/5 rounded-full"><X size={16}/></button>
+            </div>
+            <div className="flex gap-4 items-start mb-8">
+              <AlertCircle size={24} className="text-red-600 shrink-0 mt-0.5" />
+              <div className="min-w-0">
+                <p className="font-black tracking-tight truncate">{bookTitle(openError.book)}</p>
+                <p className="text-sm opacity-60 mt-1">{openError.message}</p>
+              </div>
+            </div>
+            <div className="flex gap-2">
+              <button onClick={() => { if (confirm('Permanently remove this book?')) { removeBooks([openError.book.id]); setOpenError(null); } }} className="px-4 py-3 rounded-2xl text-[10px] font-black uppercase tracking-widest border border-black/10 hover:bg-red-50 hover:text-red-600">Remove</button>
+              <button onClick={() => openBook(openError.book, openError.page)} className="flex-1 flex items-center justify-center gap-1.5 px-4 py-3 bg-blue-600 text-white rounded-2xl text-[10px] font-black uppercase tracking-widest shadow-lg shadow-blue-500/20"><RotateCcw size={12}/> Try Again</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Page Grid */}
+      {showPageGrid && pdfDoc && (
+        <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-[250] flex items-center justify-center p-6" onClick={() => setShowPageGrid(false)}>
+          <div className={`w-full max-w-6xl h-[85vh] flex flex-col p-8 rounded-[2.5rem] ${THEMES[theme].secondary} shadow-2xl border border-black/5`} onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-center mb-6">
+              <h3 className="text-[10px] font-black uppercase tracking-[0.2em] opacity-30">Pages • {bookTitle(currentBook || { name: '' })}</h3>
+              <button onClick={() => setShowPageGrid(false)} className="p-1 hover:bg-black/5 rounded-full"><X size={16}/></button>
+            </div>
+            <div className="flex-1 overflow-y-auto custom-scroll grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 lg:grid-cols-8 gap-5 content-start p-1">
+              {thumbnailTiles(num => { jumpTo(num); setShowPageGrid(false); })}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Import Queue */}
+      {importQueue.length > 0 && (
+        <div className={`fixed bottom-6 right-6 z-[240] w-80 max-h-[60vh] flex flex-col p-5 rounded-[2rem] ${THEMES[theme].secondary} shadow-2xl border border-black/5`}>
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="text-[10px] font-black uppercase tracking-[0.2em] opacity-30">Import {importQueue.filter(j => IMPORT_FINISHED.includes(j.status)).length}/{importQueue.length}</h3>
+            <button disabled={!importQueue.some(j => IMPORT_FINISHED.includes(j.status))} onClick={() => setImportQueue(q => q.filter(j => !IMPORT_FINISHED.includes(j.status)))} className="p-1 hover:bg-black/5 rounded-full disabled:opacity-20" title="Clear finished"><X size={16}/></button>
+          </div>
+          <div className="overflow-y-auto custom-scroll space-y-3">
+            {importQueue.map(job => (
+              <div key={job.key} className="text-xs">
+                <div className="flex justify-between gap-3">
+                  <span className="font-bold truncate" title={job.name}>{job.name}</span>
+                  <span className={`shrink-0 text-[9px] font-black uppercase tracking-widest ${job.status === 'error' ? 'text-red-600' : job.status === 'done' ? 'text-green-600' : 'opacity-40'}`}>{job.note || IMPORT_STATUS[job.status]}</span>
+                </div>
+                {!IMPORT_FINISHED.includes(job.status) && job.status !== 'duplicate' && (
+                  <div className="w-full bg-black/5 h-1 rounded-full overflow-hidden mt-1.5">
+                    <div className={`bg-blue-600 h-full transition-all ${job.status === 'reading' ? '' : 'animate-pulse'}`} style={{ width: `${job.status === 'queued' ? 0 : Math.round(job.progress * 100)}%` }} />
+                  </div>
+                )}
+                {job.status === 'error' && (
+                  <div className="mt-1 flex items-start justify-between gap-2">
+                    <p className="text-[10px] text-red-600/80">{job.error}</p>
+                    <button onClick={() => retryImport(job)} className="shrink-0 p-1 hover:bg-black/5 rounded-lg opacity-60 hover:opacity-100" title="Retry"><RotateCcw size={12}/></button>
+                  </div>
+                )}
+                {job.status === 'duplicate' && (
+                  <div className="mt-1.5">
+                    <p className="text-[10px] opacity-50 mb-1.5 truncate">Same file as “{job.duplicateOf}”</p>
+                    <div className="flex gap-1">
+                      {[['skip', 'Skip'], ['replace', 'Replace'], ['new', 'New version']].map(([choice, label]) => (
+                        <button key={choice} onClick={() => resolveDuplicate(job.key, choice)} className="flex-1 px-2 py-1.5 rounded-xl text-[9px] font-black uppercase tracking-widest border border-black/10 hover:bg-black/5" title={choice === 'replace' ? 'Swap in this file, keeping notes and progress' : choice === 'new' ? 'Add as a separate book with a copy of the notes and progress' : 'Leave the library as it is'}>{label}</button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Storage Manager */}
+      {showStorage && (
+        <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-[250] flex items-center justify-center p-6" onClick={() => setShowStorage(false)}>
+          <div className={`w-full max-w-2xl max-h-[80vh] flex flex-col p-8 rounded-[2.5rem] ${THEMES[theme].secondary} shadow-2xl border border-black/5`} onClick={(e) => e.stopPropagation()}>
+            <div className="flex justify-between items-center mb-8">
+              <h3 className="text-[10px] font-black uppercase tracking-[0.2em] opacity-30">Storage</h3>
+              <button onClick={() => setShowStorage(false)} className="p-1 hover:bg-black/5 rounded-full"><X size={16}/></button>
+            </div>
+            {storageInfo && (
+              <div className="mb-8">
+                <div className="flex justify-between items-end mb-3">
+                  <div className="text-3xl font-black tracking-tighter">{formatBytes(storageInfo.usage)}</div>
+                  <div className="text-[10px] font-bold uppercase opacity-40 tracking-widest">{storageInfo.quota ? `of ${formatBytes(storageInfo.quota)}` : 'Quota unknown'}</div>
+                </div>
+                <div className="w-full bg-black/5 h-1.5 rounded-full overflow-hidden">
+                  <div className="bg-blue-600 h-full transition-all" style={{ width: `${storageInfo.quota ? Math.min(100, (storageInfo.usage / storageInfo.quota) * 100) : 0}%` }} />
+                </div>
+                <div className="flex justify-between items-center mt-4">
+                  <span className={`flex items-center gap-2 text-[10px] font-bold uppercase tracking-widest ${storageInfo.persisted ? 'text-green-600' : 'opacity-40'}`}><ShieldCheck size={14}/> {storageInfo.persisted ? 'Persistent' : 'Best effort — may be evicted'}</span>
+                  {!storageInfo.persisted && <button onClick={requestPersistence} className="text-blue-600 text-[10px] font-bold uppercase tracking-widest hover:underline">Make Persistent</button>}
+                </div>
+              </div>
+            )}
+            <div className="flex flex-wrap items-center gap-3 mb-8 p-4 rounded-3xl bg-black/5">
+              <button disabled={!!backupStatus} onClick={backupLibrary} className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2.5 rounded-2xl text-[10px] font-black uppercase tracking-widest shadow-lg shadow-blue-500/20 active:scale-95 transition-transform disabled:opacity-40"><Download size={14}/> Backup</button>
+              <div className="flex gap-1 p-1 bg-black/5 rounded-2xl">
+                {['merge', 'replace'].map(m => (
+                  <button key={m} onClick={() => setRestoreMode(m)} className={`px-3 py-1.5 rounded-xl text-[10px] font-black uppercase tracking-widest transition-all ${restoreMode === m ? 'bg-white shadow text-blue-600' : 'opacity-40'}`}>{m}</button>
+                ))}
+              </div>
+              <button disabled={!!backupStatus} onClick={() => backupInputRef.current.click()} className="flex items-center gap-2 px-4 py-2.5 rounded-2xl text-[10px] font-black uppercase tracking-widest border border-black/10 hover:bg-black/5 disabled:opacity-40"><Upload size={14}/> Restore</button>
+              <input type="file" ref={backupInputRef} className="hidden" accept=".zip,application/zip" onChange={restoreLibrary} />
+              <button disabled={notebookBusy} onClick={() => clippingsInputRef.current.click()} className="flex items-center gap-2 px-4 py-2.5 rounded-2xl text-[10px] font-black uppercase tracking-widest border border-black/10 hover:bg-black/5 disabled:opacity-40" title="Import Kindle My Clippings.txt"><StickyNote size={14}/> Clippings</button>
+              {backupStatus && <span className="text-[10px] font-bold uppercase tracking-widest text-blue-600 animate-pulse">{backupStatus}…</span>}
+            </div>
+            <div className="flex justify-between items-center mb-3 px-1">
+              <label className="flex items-center gap-2 text-[10px] font-bold uppercase tracking-[0.2em] opacity-40">
+                <input type="checkbox" checked={library.length > 0 && storageSelection.length === library.length} onChange={(e) => setStorageSelection(e.target.checked ? library.map(b => b.id) : [])} />
+                {storageSelection.length} Selected
+              </label>
+              <button disabled={!storageSelection.length} onClick={() => { if (confirm(`Permanently remove ${storageSelection.length} book(s)?`)) removeBooks(storageSelection); }} className="flex items-center gap-1 text-red-600 text-[10px] font-bold uppercase tracking-widest disabled:opacity-20 hover:underline"><Trash2 size={12}/> Delete</button>
+            </div>
+            <div className="flex-1 overflow-y-auto custom-scroll space-y-1">
+              {[...library].sort((a, b) => (b.size || 0) - (a.size || 0)).map(book => (
+                <label key={book.id} className="flex items-center gap-3 p-3 rounded-2xl hover:bg-black/5 cursor-pointer">
+                  <input type="checkbox" checked={storageSelection.includes(book.id)} onChange={(e) => setStorageSelection(sel => e.target.checked ? [...sel, book.id] : sel.filter(id => id !== book.id))} />
+                  <span className="flex-1 text-sm truncate opacity-80">{bookTitle(book)}</span>
+                  <span className="text-[10px] font-mono opacity-40">{book.size !== undefined ? formatBytes(book.size) : '…'}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Book Details */}
+      {editingBook && (() => {
+        const book = library.find(b => b.id === editingBook.id);
+        if (!book) return null;
+        const info = book.info || {};
+        return (
+          <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-[250] flex items-center justify-center p-6" onClick={() => setEditingBook(null)}>
+            <div className={`w-full max-w-xl max-h-[85vh] overflow-y-auto custom-scroll p-8 rounded-[2.5rem] ${THEMES[theme].secondary} shadow-2xl border border-black/5`} onClick={(e) => e.stopPropagation()}>
+              <div className="flex justify-between items-center mb-8">
+                <h3 className="text-[10px] font-black uppercase tracking-[0.2em] opacity-30">Book Details</h3>
+                <button onClick={() => setEditingBook(null)} className="p-1 hover:bg-black/5 rounded-full"><X size={16}/></button>
+              </div>
+              <div className="flex gap-6 mb-8">
+                <div className="w-28 shrink-0">
+                  <div className="aspect-[2/3] rounded-2xl overflow-hidden border border-black/5 shadow-lg bg-white mb-3">
+                    {editingBook.cover ? <img src={editingBook.cover} className="w-full h-full object-cover" alt="" /> : <div className={`w-full h-full flex items-center justify-center ${THEMES[theme].secondary} opacity-40`}><BookOpen size={32} /></div>}
+                  </div>
+                  <label className="block text-center text-blue-600 text-[9px] font-black uppercase tracking-widest hover:underline cursor-pointer">
+                    Change Cover
+                    <input type="file" accept="image/*" className="hidden" onChange={pickBookCover} />
+                  </label>
+                  <button onClick={() => resetBookCover(book.id)} className="w-full mt-2 text-[9px] font-black uppercase tracking-widest opacity-40 hover:opacity-100">Use First Page</button>
+                </div>
+                <div className="flex-1 space-y-4">
+                  {[['title', 'Title'], ['author', 'Author']].map(([key, label]) => (
+                    <label key={key} className="block">
+                      <span className="text-[10px] font-bold uppercase tracking-[0.2em] opacity-30">{label}</span>
+                      <input value={editingBook[key]} onChange={(e) => setEditingBook(ed => ({ ...ed, [key]: e.target.value }))} placeholder={key === 'title' ? bookTitle({ ...book, title: undefined }) : bookAuthor({ ...book, author: undefined })} className="w-full mt-1 px-4 py-3 rounded-2xl bg-black/5 border border-black/5 outline-none focus:ring-4 focus:ring-blue-500/10 text-sm" />
+                    </label>
+                  ))}
+                  <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1.5 text-xs pt-2">
+                    {[
+                      ['Subject', info.subject], ['Keywords', info.keywords],
+                      ['Pages', book.numPages], ['Created', info.created && new Date(info.created).toLocaleDateString()],
+                      ['Added', new Date(bookAddedAt(book)).toLocaleDateString()], ['File', book.name]
+                    ].filter(([, v]) => v).map(([k, v]) => (
+                      <React.Fragment key={k}><dt className="opacity-40">{k}</dt><dd className="opacity-80 truncate" title={String(v)}>{v}</dd></React.Fragment>
+                    ))}
+                  </dl>
+                </div>
+              </div>
+              <div className="flex justify-between items-center">
+                <button onClick={() => refreshBookInfo(book.id)} className="flex items-center gap-2 text-[10px] font-black uppercase tracking-widest opacity-40 hover:opacity-100"><RotateCcw size={12}/> Reload from PDF</button>
+                <button onClick={saveBookDetails} className="bg-blue-600 text-white px-6 py-3 rounded-2xl text-[10px] font-black uppercase tracking-widest shadow-lg shadow-blue-500/20 active:scale-95 transition-transform">Save</button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* Password Prompt */}
+      {passwordRequest && (
+        <div className="fixed inset-0 bg-black/40 backdrop-blur-sm z-[310] flex items-center justify-center p-6">
+          <form
+            onSubmit={(e) => { e.preventDefault(); answerPassword({ password: passwordRequest.value, remember: passwordRequest.remember }); }}
+            onKeyDown={(e) => { if (e.key === 'Escape') { e.stopPropagation(); answerPassword(null); } }}
+            className={`w-full max-w-sm p-8 rounded-[2.5rem] ${THEMES[theme].secondary} shadow-2xl border border-black/5`}
+          >
+            <div className="flex justify-between items-center mb-6">
+              <h3 className="text-[10px] font-black uppercase tracking-[0.2em] opacity-30">Password Required</h3>
+              <button type="button" onClick={() => answerPassword(null)} className="p-1 hover:bg-black/5 rounded-full"><X size={16}/></button>
+            </div>
+            <p className="font-black tracking-tight truncate mb-1">{passwordRequest.title}</p>
+            <p className={`text-sm mb-5 ${passwordRequest.retry ? 'text-red-600' : 'opacity-60'}`}>{passwordRequest.retry ? 'That password is not correct. Try again.' : 'This book is password protected.'}</p>
+            <input
+              type="password" autoFocus autoComplete="off" value={passwordRequest.value}
+              onChange={(e) => setPasswordRequest(r => ({ ...r, value: e.target.value }))}
+              className="w-full px-4 py-3 rounded-2xl bg-black/5 border border-black/5 outline-none focus:ring-4 focus:ring-blue-500/10 text-sm"
+            />
+            <label className="flex items-center gap-2 mt-4 text-xs cursor-pointer">
+              <input type="checkbox" checked={passwordRequest.remember} onChange={(e) => setPasswordRequest(r => ({ ...r, remember: e.target.checked }))} className="accent-blue-600" />
+              <span className="opacity-70">Remember for this book on this device</span>
+            </label>
+            <div className="flex gap-2 mt-8">
+              <button type="button" onClick={() => answerPassword(null)} className="px-4 py-3 rounded-2xl text-[10px] font-black uppercase tracking-widest border border-black/10 hover:bg-black/5">Cancel</button>
+              <button type="submit" className="flex-1 px-4 py-3 bg-blue-600 text-white rounded-2xl text-[10px] font-black uppercase tracking-widest shadow-lg shadow-blue-500/20">Unlock</button>
+            </div>
+          </form>
+        </div>
+      )}
+
       {/* Professional Multi-stage Engine Loader */}
       {isLoading && (
         <div className="fixed inset-0 bg-zinc-950/90 backdrop-blur-2xl z-[300] flex items-center justify-center animate-in fade-in duration-700">
@@ -664,8 +4221,6 @@ const App = () => {
       )}
 
       <style dangerouslySetInnerHTML={{ __html: `
-        @import url('https://fonts.googleapis.com/css2?family=Libre+Baskerville:ital,wght@0,400;0,700;1,400&family=Inter:wght@400;500;600;700;800;900&family=JetBrains+Mono:wght@500;700&display=swap');
-        
         .kindle-scroller { direction: rtl; }
         .direction-ltr { direction: ltr; }
 
@@ -684,6 +4239,12 @@ const App = () => {
         .font-serif { font-family: 'Libre Baskerville', serif; }
         .font-sans { font-family: 'Inter', sans-serif; }
         
+        .textLayer { position: absolute; inset: 0; overflow: hidden; opacity: 0.25; line-height: 1; text-align: initial; -webkit-user-select: text; user-select: text; z-index: 2; }
+        .textLayer span, .textLayer br { color: transparent; position: absolute; white-space: pre; cursor: text; transform-origin: 0% 0%; }
+        .textLayer ::selection { background: rgb(0, 0, 255); }
+        .textLayer .endOfContent { display: block; position: absolute; inset: 100% 0 0; z-index: -1; cursor: default; -webkit-user-select: none; user-select: none; }
+        .textLayer .endOfContent.active { top: 0; }
+
         canvas {
           transition: transform 0.2s cubic-bezier(0.2, 0, 0.1, 1);
           transform-origin: center;
@@ -697,7 +4258,7 @@ const App = () => {
           inset: 0;
           pointer-events: none;
           opacity: 0.04;
-          background-image: url('https://www.transparenttextures.com/patterns/handmade-paper.png');
+          background-image: url('${paperTexture}');
           z-index: 100;
         }
       `}} />